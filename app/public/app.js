@@ -10,7 +10,10 @@ const state = {
   temp: Number(localStorage.getItem("temp") || "0.7"),
   mcpUrl: localStorage.getItem("mcpUrl") || "http://mcp-server:8081",
   mcpTools: localStorage.getItem("mcpTools") === "true",
-  os: localStorage.getItem("os") || "mxapiasset"
+  os: localStorage.getItem("os") || "mxapiasset",
+  maxSteps: Number(localStorage.getItem("maxSteps") || "6"),
+  sessionId: localStorage.getItem("sessionId") || "",
+  tenant: localStorage.getItem("tenant") || ""
 };
 
 function setTheme(t){
@@ -28,11 +31,17 @@ function navTo(p){
   document.querySelectorAll(".nav button[data-nav]").forEach(b=>{
     b.classList.toggle("active", b.dataset.nav===p);
   });
+  if(p==="trace") loadTraces().catch(()=>{});
+  if(p==="rest") restPreview();
+  if(p==="usage") loadUsage().catch(e=>{ $("usageNote").textContent="Load failed: "+e.message; });
+  if(p==="audit") loadAudit().catch(e=>{ $("auditNote").textContent="Load failed: "+e.message; });
   $("pageTitle").textContent = ({
     chat:"AI Agent",
     settings:"Settings",
     rest:"REST Builder",
     trace:"Trace",
+    usage:"Usage",
+    audit:"Audit",
     help:"Help"
   })[p] || "AI Agent";
 }
@@ -41,17 +50,86 @@ document.querySelectorAll(".nav button[data-nav]").forEach(b=>{
 });
 $("toggleTheme").addEventListener("click", ()=>setTheme(state.theme==="dark"?"light":"dark"));
 
+// Signed-in user from /auth/me; with AUTH_MODE=none everyone is admin
+let auth = { mode:"none", user:"", role:"admin", tenants:["*"] };
+const ROLES = ["viewer","operator","admin"];
+function roleAtLeast(role){ return ROLES.indexOf(auth.role) >= ROLES.indexOf(role); }
+
+// An expired OIDC session answers 401 with a login URL: sign in again and come back here
+function loginRedirect(r, j){
+  if(r.status===401 && j && j.login) location.href = j.login+"?returnTo="+encodeURIComponent(location.pathname+location.search);
+}
+
+async function loadAuth(){
+  const r = await fetch("/auth/me");
+  const j = await r.json().catch(()=>null);
+  if(!r.ok){ loginRedirect(r, j); throw new Error(j?.detail||j?.error||"not signed in"); }
+  auth = j;
+  $("userPill").classList.toggle("hidden", auth.mode==="none");
+  $("userLbl").textContent = auth.user || "(unknown)";
+  $("roleLbl").textContent = auth.role;
+  $("logoutLink").href = auth.logout || "#";
+  $("logoutLink").classList.toggle("hidden", !auth.logout);
+  document.querySelectorAll("[data-role]").forEach(el=>el.classList.toggle("hidden", !roleAtLeast(el.dataset.role)));
+}
+
 async function api(path, body){
   const r = await fetch(path, { method:"POST", headers:{ "content-type":"application/json" }, body: JSON.stringify(body||{}) });
   const t = await r.text();
   let j=null;
   try{ j=JSON.parse(t);}catch{ j=null;}
+  loginRedirect(r, j);
+  if(!r.ok) throw new Error(j? (j.detail||j.error||t) : t);
+  return j || {};
+}
+
+// POST with a Server-Sent Events response; calls onEvent(event, data) per message
+async function apiStream(path, body, onEvent){
+  const r = await fetch(path, { method:"POST", headers:{ "content-type":"application/json", accept:"text/event-stream" }, body: JSON.stringify(body||{}) });
+  if(!r.ok || !r.body){
+    const t = await r.text();
+    let j=null;
+    try{ j=JSON.parse(t);}catch{ j=null;}
+    loginRedirect(r, j);
+    throw new Error(j? (j.detail||j.error||t) : t);
+  }
+  const reader = r.body.getReader();
+  const decoder = new TextDecoder();
+  let buf="";
+  for(;;){
+    const { value, done } = await reader.read();
+    if(done) break;
+    buf += decoder.decode(value, { stream:true });
+    let sep;
+    while((sep = buf.indexOf("\n\n")) >= 0){
+      const raw = buf.slice(0, sep);
+      buf = buf.slice(sep+2);
+      let event="message", data="";
+      raw.split("\n").forEach(line=>{
+        if(line.startsWith("event:")) event=line.slice(6).trim();
+        else if(line.startsWith("data:")) data+=line.slice(5).trim();
+      });
+      let j=null;
+      try{ j=JSON.parse(data);}catch{ j=data;}
+      onEvent(event, j);
+    }
+  }
+}
+
+async function apiGet(path){
+  const r = await fetch(path);
+  const t = await r.text();
+  let j=null;
+  try{ j=JSON.parse(t);}catch{ j=null;}
+  loginRedirect(r, j);
   if(!r.ok) throw new Error(j? (j.detail||j.error||t) : t);
   return j || {};
 }
 
 async function loadSettings(){
   const s = await api("/api/settings/load",{});
+  renderProviders(s.settings?.ai || {});
+  $("aiFallbacks").value = (s.settings?.ai?.fallbacks || []).map(f=>f.model ? `${f.provider}:${f.model}` : f.provider).join(", ");
   // hydrate UI visible fields
   $("provider").value = state.provider;
   $("model").value = state.model;
@@ -60,17 +138,154 @@ async function loadSettings(){
   $("mcpUrl").value = state.mcpUrl;
   $("mcpTools").checked = state.mcpTools;
   $("os").value = state.os;
+  $("maxSteps").value = String(state.maxSteps);
 
   // tenants from server (PVC)
   const tenants = (s.settings && Array.isArray(s.settings.tenants)) ? s.settings.tenants : [];
   renderTenants(tenants);
+  renderTenantSelector(tenants, s.settings?.maximo?.defaultTenant);
+  renderRestTenants(tenants);
+  restSaved = Array.isArray(s.settings?.restRequests) ? s.settings.restRequests : [];
+  renderRestSaved();
+  $("authRoles").value = (s.settings?.auth?.roles || []).map(r=>`${r.subject} ${r.role} ${(r.tenants||[]).join(",")}`.trim()).join("\n");
+}
+
+$("saveAuthRoles").onclick = async ()=>{
+  const authRoles = $("authRoles").value.split("\n").map(l=>l.trim()).filter(Boolean).map(l=>{
+    const [subject, role, tenants] = l.split(/\s+/);
+    return { subject, role, tenants: String(tenants||"").split(",").filter(Boolean) };
+  });
+  const bad = authRoles.find(r=>!/^(user|group):\S+$/.test(r.subject||"") || !ROLES.includes(r.role));
+  if(bad) return alert(`Each line needs: user:name|group:name viewer|operator|admin tenants (got "${bad.subject||""}")`);
+  try{
+    await api("/api/settings", { payload:{ authRoles } });
+    $("authNote").textContent = `Saved ${authRoles.length} entr${authRoles.length===1?"y":"ies"}.`;
+  }catch(e){ $("authNote").textContent = "Save failed: "+e.message; }
+};
+
+// Probes the saved settings plus the provider selected above; one row per check with what to fix
+$("testConnection").onclick = async ()=>{
+  $("testNote").textContent = "Testing…";
+  $("testResults").innerHTML = "";
+  try{
+    const r = await api("/api/settings/test", { provider: $("provider").value });
+    const failed = r.checks.filter(c=>!c.ok).length;
+    $("testNote").textContent = failed ? `${failed} of ${r.checks.length} checks failed.` : `All ${r.checks.length} checks passed.`;
+    $("testResults").appendChild(renderTable({
+      columns:["check","result","http","latency","detail","url"],
+      rows: r.checks.map(c=>({
+        check: c.name + (c.via ? ` (via ${c.via})` : ""),
+        result: c.ok ? "OK" : `FAILED (${c.error})`,
+        http: c.status || "",
+        latency: c.latencyMs ? `${c.latencyMs} ms` : "",
+        detail: c.detail || "",
+        url: c.url || ""
+      }))
+    }));
+  }catch(e){ $("testNote").textContent = "Test failed: "+e.message; }
+};
+
+function setTenant(id){
+  state.tenant = id || "";
+  localStorage.setItem("tenant", state.tenant);
+  if($("tenantSel").value !== state.tenant) $("tenantSel").value = state.tenant;
+}
+
+// Header switcher: the chosen tenant goes with every chat/query and is remembered per conversation
+function renderTenantSelector(tenants, defaultTenant){
+  const sel=$("tenantSel");
+  sel.innerHTML="";
+  if(!tenants.length){
+    const o=document.createElement("option"); o.value=""; o.textContent="(default)";
+    sel.appendChild(o);
+  }
+  tenants.forEach(t=>{
+    const o=document.createElement("option"); o.value=t.id; o.textContent=t.label ? `${t.label} (${t.id})` : t.id;
+    sel.appendChild(o);
+  });
+  const known = tenants.some(t=>t.id===state.tenant);
+  setTenant(known ? state.tenant : (tenants.some(t=>t.id===defaultTenant) ? defaultTenant : (tenants[0]?.id || "")));
+}
+$("tenantSel").onchange = ()=>setTenant($("tenantSel").value);
+// Built-in providers are static options; custom ones (settings.ai.providers) are appended after them
+let aiInfo = { providers:[], configured:[] };
+function renderProviders(ai){
+  aiInfo = { providers: Array.isArray(ai.providers) ? ai.providers : [], configured: ai.configured || [] };
+  const sel=$("provider");
+  sel.querySelectorAll("option[data-custom]").forEach(o=>o.remove());
+  aiInfo.providers.forEach(p=>{
+    const o=document.createElement("option"); o.value=p.id; o.textContent=`${p.label||p.id} (custom)`; o.dataset.custom="1";
+    sel.appendChild(o);
+  });
+  sel.value = state.provider;
+  if(sel.value !== state.provider) sel.value = "openai";
+  providerNote();
+
+  const tbody=$("providersBody");
+  tbody.innerHTML="";
+  aiInfo.providers.forEach((p,idx)=>{
+    const tr=document.createElement("tr");
+    [p.id, p.label||"", p.kind, p.base||"", p.keyRef||"(none)"].forEach(v=>{ const td=document.createElement("td"); td.textContent=v; tr.appendChild(td); });
+    const td=document.createElement("td");
+    td.innerHTML=`<button class="btn" data-edit="${idx}">Edit</button> <button class="btn" data-del="${idx}">Del</button>`;
+    tr.appendChild(td);
+    tbody.appendChild(tr);
+  });
+  tbody.querySelectorAll("button[data-edit]").forEach(btn=>{
+    btn.onclick=()=>{
+      const p=aiInfo.providers[Number(btn.dataset.edit)];
+      $("cpId").value=p.id; $("cpLabel").value=p.label||""; $("cpKind").value=p.kind||"openai";
+      $("cpBase").value=p.base||""; $("cpKeyRef").value=p.keyRef||""; $("cpApiVersion").value=p.apiVersion||"";
+      $("cpProjectId").value=p.projectId||""; $("cpModels").value=(p.models||[]).join(",");
+    };
+  });
+  tbody.querySelectorAll("button[data-del]").forEach(btn=>{
+    btn.onclick=async ()=>{
+      const list=aiInfo.providers.filter((_,i)=>i!==Number(btn.dataset.del));
+      await saveProviders(list);
+    };
+  });
+}
+function providerNote(){
+  const id=$("provider").value;
+  const custom=aiInfo.providers.find(p=>p.id===id);
+  $("providerNote").textContent = custom ? `${custom.kind} · ${custom.base||"no base URL"}`
+    : id==="ollama" ? "No key needed; set OLLAMA_BASE" : (aiInfo.configured.includes(id) ? "API key configured" : "No API key configured (secret)");
+}
+async function saveProviders(list){
+  const out = await api("/api/settings", { payload:{ aiProviders: list } });
+  renderProviders({ ...(out.settings?.ai||{}), configured: aiInfo.configured });
+}
+$("provider").addEventListener("change", providerNote);
+$("addProvider").onclick = async ()=>{
+  const p={
+    id:$("cpId").value.trim().toLowerCase(),
+    label:$("cpLabel").value.trim(),
+    kind:$("cpKind").value,
+    base:$("cpBase").value.trim(),
+    keyRef:$("cpKeyRef").value.trim(),
+    apiVersion:$("cpApiVersion").value.trim(),
+    projectId:$("cpProjectId").value.trim(),
+    models:$("cpModels").value.split(",").map(x=>x.trim()).filter(Boolean)
+  };
+  if(!/^[a-z0-9][a-z0-9_-]{1,31}$/.test(p.id)) return alert("ID: 2-32 lowercase letters, digits, - or _");
+  if([...$("provider").options].some(o=>o.value===p.id && !o.dataset.custom)) return alert("ID is a built-in provider");
+  if(!p.base) return alert("Base URL required");
+  if(p.keyRef && !/^(env:|file:\/)/.test(p.keyRef)) return alert("Key reference must look like env:NAME or file:/path – never paste the key itself");
+  const list=aiInfo.providers.filter(x=>x.id!==p.id).concat([p]);
+  await saveProviders(list);
+};
+
+function guardrailSummary(g){
+  if(!g) return "";
+  return [g.forceSite?"site forced":"", g.forceOrg?"org forced":"", g.maxPageSize?`≤${g.maxPageSize}/page`:"", g.deniedOS?.length?`denied: ${g.deniedOS.join(", ")}`:""].filter(Boolean).join(" · ");
 }
 function renderTenants(tenants){
   const tbody=$("tenantsBody");
   tbody.innerHTML="";
   tenants.forEach((t,idx)=>{
     const tr=document.createElement("tr");
-    tr.innerHTML = `<td>${t.id||""}</td><td>${t.label||""}</td><td>${t.maximoBaseUrl||""}</td><td>${t.org||""}</td><td>${t.site||""}</td>
+    tr.innerHTML = `<td>${t.id||""}</td><td>${t.label||""}</td><td>${t.maximoBaseUrl||""}</td><td>${t.org||""}</td><td>${t.site||""}</td><td>${t.authType||"apikey"}${t.secretRef?" · "+t.secretRef:""}</td><td>${guardrailSummary(t.guardrails)}</td><td>${t.budget?`${t.budget.monthly} / month · ${t.budget.mode}`:""}</td>
     <td><button class="btn" data-edit="${idx}">Edit</button> <button class="btn" data-del="${idx}">Del</button></td>`;
     tbody.appendChild(tr);
   });
@@ -82,6 +297,15 @@ function renderTenants(tenants){
       $("tenantUrl").value=t.maximoBaseUrl||"";
       $("tenantOrg").value=t.org||"";
       $("tenantSite").value=t.site||"";
+      $("tenantAuthType").value=t.authType||"apikey";
+      $("tenantSecretRef").value=t.secretRef||"";
+      $("tenantUserRef").value=t.userRef||"";
+      $("tenantDeniedOS").value=(t.guardrails?.deniedOS||[]).join(",");
+      $("tenantMaxPageSize").value=t.guardrails?.maxPageSize ? String(t.guardrails.maxPageSize) : "";
+      $("tenantForceSite").checked=!!t.guardrails?.forceSite;
+      $("tenantForceOrg").checked=!!t.guardrails?.forceOrg;
+      $("tenantBudget").value=t.budget?.monthly ? String(t.budget.monthly) : "";
+      $("tenantBudgetMode").value=t.budget?.mode||"warn";
     };
   });
   tbody.querySelectorAll("button[data-del]").forEach(btn=>{
@@ -89,6 +313,7 @@ function renderTenants(tenants){
       tenants.splice(Number(btn.dataset.del),1);
       await saveSettings({ tenants });
       renderTenants(tenants);
+      renderTenantSelector(tenants);
     };
   });
   $("addTenant").onclick=async ()=>{
@@ -97,13 +322,25 @@ function renderTenants(tenants){
       label:$("tenantLabel").value.trim(),
       maximoBaseUrl:$("tenantUrl").value.trim(),
       org:$("tenantOrg").value.trim(),
-      site:$("tenantSite").value.trim()
+      site:$("tenantSite").value.trim(),
+      authType:$("tenantAuthType").value,
+      secretRef:$("tenantSecretRef").value.trim(),
+      userRef:$("tenantUserRef").value.trim(),
+      guardrails:{
+        forceSite:$("tenantForceSite").checked,
+        forceOrg:$("tenantForceOrg").checked,
+        deniedOS:$("tenantDeniedOS").value.split(",").map(x=>x.trim()).filter(Boolean),
+        maxPageSize:Number($("tenantMaxPageSize").value)||undefined
+      },
+      budget: Number($("tenantBudget").value)>0 ? { monthly:Number($("tenantBudget").value), mode:$("tenantBudgetMode").value } : undefined
     };
     if(!t.id) return alert("Tenant ID required");
+    if([t.secretRef,t.userRef].some(r=>r && !/^(env:|file:\/)/.test(r))) return alert("References must look like env:NAME or file:/path – never paste the secret itself");
     const existing = tenants.find(x=>x.id===t.id);
-    if(existing) Object.assign(existing,t); else tenants.push(t);
+    if(existing){ delete existing.budget; Object.assign(existing,t); } else tenants.push(t);
     await saveSettings({ tenants });
     renderTenants(tenants);
+    renderTenantSelector(tenants);
   };
 }
 
@@ -112,8 +349,10 @@ async function saveSettings(extra){
   const payload = {
     ui: { },
     mcp: { url: state.mcpUrl, enableTools: state.mcpTools },
-    maximo: { objectStructure: state.os }
+    maximo: { objectStructure: state.os },
+    agent: { maxSteps: state.maxSteps }
   };
+  payload.aiFallbacks = $("aiFallbacks").value;
   if(extra && extra.tenants) payload.tenants = extra.tenants;
   await api("/api/settings", { payload });
 }
@@ -126,6 +365,7 @@ $("saveSettings").onclick = async ()=>{
   state.mcpUrl=$("mcpUrl").value.trim();
   state.mcpTools=$("mcpTools").checked;
   state.os=$("os").value.trim() || "mxapiasset";
+  state.maxSteps=Number($("maxSteps").value||"6");
 
   localStorage.setItem("provider",state.provider);
   localStorage.setItem("model",state.model);
@@ -134,7 +374,10 @@ $("saveSettings").onclick = async ()=>{
   localStorage.setItem("mcpUrl",state.mcpUrl);
   localStorage.setItem("mcpTools",String(state.mcpTools));
   localStorage.setItem("os",state.os);
+  localStorage.setItem("maxSteps",String(state.maxSteps));
 
+  // provider, model and prompt are per browser; the shared server settings are admin-only
+  if(!roleAtLeast("admin")) return alert("Saved in this browser");
   try{ await saveSettings(); alert("Saved"); }
   catch(e){ alert("Save failed: "+e.message); }
 };
@@ -167,12 +410,17 @@ function addBubble(role, content){
   b.className = "bubble "+(role==="user"?"user":"ai");
   if(content && content.__table){
     b.appendChild(renderTable(content.__table));
+  }else if(content && content.__chart){
+    b.appendChild(renderChart(content.__chart));
+  }else if(content && content.__approval){
+    b.appendChild(renderApproval(content.__approval, content.shown));
   }else{
     b.textContent = content || "";
   }
   row.appendChild(b);
   chatEl.appendChild(row);
   chatEl.scrollTop = chatEl.scrollHeight;
+  return b;
 }
 
 function renderTable(t){
@@ -198,9 +446,619 @@ function renderTable(t){
   });
   table.appendChild(thead); table.appendChild(tbody);
   wrap.appendChild(table);
-  return wrap;
+  if(!t.page && !t.export) return wrap;
+
+  const box=document.createElement("div");
+  box.appendChild(wrap);
+  const bar=document.createElement("div");
+  bar.className="pager";
+  box.appendChild(bar);
+  if(!t.page){
+    bar.appendChild(exportLinks(t.export));
+    return box;
+  }
+
+  // paged results: row count plus previous/next/all controls that re-query by cursor
+  const p=t.page;
+  const info=document.createElement("span");
+  info.className="meta";
+  info.textContent = (p.to ? `Rows ${p.from}–${p.to}` : "No rows") + (p.totalCount!=null ? ` of ${p.totalCount}` : "")
+    + (p.fetchAll ? " (all pages)" : ` · page ${p.pageno}`) + (p.truncated ? " · row cap reached" : "");
+  bar.appendChild(info);
+  const go = async (body)=>{
+    bar.querySelectorAll("button").forEach(b=>b.disabled=true);
+    try{
+      const out = await api("/api/maximo/query", body);
+      box.replaceWith(renderTable(out.table));
+    }catch(e){
+      info.textContent = "Error: "+e.message;
+      bar.querySelectorAll("button").forEach(b=>b.disabled=false);
+    }
+  };
+  [["Previous", p.prevCursor && { cursor:p.prevCursor }],
+   ["Next", p.nextCursor && { cursor:p.nextCursor }],
+   ["Load all", !p.fetchAll && (p.nextCursor || p.prevCursor) && { cursor:p.allCursor, fetchAll:true }]
+  ].forEach(([label, body])=>{
+    if(!body) return;
+    const b=document.createElement("button");
+    b.className="btn"; b.textContent=label;
+    b.onclick=()=>go(body);
+    bar.appendChild(b);
+  });
+  if(t.export) bar.appendChild(exportLinks(t.export));
+  return box;
 }
 
+// Download links for every row behind a table (all pages), by the export token the server handed out
+function exportLinks(source){
+  const span=document.createElement("span");
+  span.className="exportLinks";
+  [["CSV","csv"],["XLSX","xlsx"],["JSON","json"]].forEach(([label, format])=>{
+    const a=document.createElement("a");
+    a.className="btn"; a.textContent=label; a.title=`Download all rows as ${label}`;
+    a.href=`/api/export?${new URLSearchParams({ source, format })}`;
+    span.appendChild(a);
+  });
+  return span;
+}
+
+// Agent query results: one bubble per maximo.queryOS call with its download links
+function exportBubble(tc){
+  const b=addBubble("ai", `Download ${tc.args?.os||"query"} results`);
+  b.classList.add("meta");
+  b.appendChild(exportLinks(tc.export));
+}
+
+// Charts for { visualization } results (bar, pie, line): plain SVG, colours from the Carbon palette
+const CHART_COLORS = ["#6929c4","#1192e8","#005d5d","#9f1853","#fa4d56","#570408","#198038","#002d9c","#ee538b","#b28600","#009d9a","#012749","#8a3800","#a56eff"];
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+function svgEl(name, attrs, text){
+  const el=document.createElementNS(SVG_NS, name);
+  Object.entries(attrs||{}).forEach(([k,v])=>el.setAttribute(k, String(v)));
+  if(text!=null) el.textContent = String(text);
+  return el;
+}
+
+function chartNumber(v){
+  return Number.isInteger(v) ? v.toLocaleString() : Number(v).toLocaleString(undefined, { maximumFractionDigits:2 });
+}
+
+function renderChart(v){
+  const box=document.createElement("div");
+  box.className="chart";
+  const h=document.createElement("div");
+  h.className="chartTitle"; h.textContent = v.title || "";
+  box.appendChild(h);
+  const series=(v.series||[]).filter(s=>s.value!=null);
+  if(!series.length){
+    const m=document.createElement("div"); m.className="meta"; m.textContent="No data to chart.";
+    box.appendChild(m);
+    return box;
+  }
+  box.appendChild(v.type==="pie" ? pieChart(series) : v.type==="line" ? lineChart(series, v) : barChart(series, v));
+  const m=document.createElement("div");
+  m.className="meta";
+  m.textContent = `${v.y?.label||"value"} by ${v.x?.label||"group"} · ${series.length} group(s)`;
+  box.appendChild(m);
+  return box;
+}
+
+// Horizontal bars: long Maximo codes and descriptions fit as labels
+function barChart(series, v){
+  const W=560, labelW=150, valueW=70, rowH=24;
+  const max=Math.max(...series.map(s=>s.value), 0) || 1;
+  const svg=svgEl("svg", { viewBox:`0 0 ${W} ${series.length*rowH+4}`, width:"100%", role:"img", "aria-label":v.title||"bar chart" });
+  series.forEach((s,i)=>{
+    const y=i*rowH+2, w=Math.max((W-labelW-valueW)*Math.max(s.value,0)/max, 1);
+    svg.appendChild(svgEl("text", { x:labelW-8, y:y+rowH/2+4, "text-anchor":"end", class:"chartLabel" }, s.label.length>22 ? s.label.slice(0,21)+"…" : s.label));
+    const bar=svgEl("rect", { x:labelW, y:y+3, width:w, height:rowH-6, rx:3, fill:CHART_COLORS[1] });
+    bar.appendChild(svgEl("title", {}, `${s.label}: ${chartNumber(s.value)}`));
+    svg.appendChild(bar);
+    svg.appendChild(svgEl("text", { x:labelW+w+6, y:y+rowH/2+4, class:"chartLabel" }, chartNumber(s.value)));
+  });
+  return svg;
+}
+
+function pieChart(series){
+  const W=560, H=240, r=100, cx=120, cy=120;
+  const total=series.reduce((n,s)=>n+Math.max(s.value,0), 0) || 1;
+  const svg=svgEl("svg", { viewBox:`0 0 ${W} ${H}`, width:"100%", role:"img", "aria-label":"pie chart" });
+  let a=-Math.PI/2;
+  series.forEach((s,i)=>{
+    const part=Math.max(s.value,0)/total, color=CHART_COLORS[i%CHART_COLORS.length];
+    const b=a+part*2*Math.PI;
+    const slice = part>=0.9999
+      ? svgEl("circle", { cx, cy, r, fill:color })
+      : svgEl("path", { d:`M${cx},${cy} L${cx+r*Math.cos(a)},${cy+r*Math.sin(a)} A${r},${r} 0 ${b-a>Math.PI?1:0} 1 ${cx+r*Math.cos(b)},${cy+r*Math.sin(b)} Z`, fill:color });
+    slice.appendChild(svgEl("title", {}, `${s.label}: ${chartNumber(s.value)} (${Math.round(part*100)}%)`));
+    svg.appendChild(slice);
+    a=b;
+    if(i<12){
+      const y=20+i*18;
+      svg.appendChild(svgEl("rect", { x:250, y:y-10, width:12, height:12, rx:2, fill:color }));
+      svg.appendChild(svgEl("text", { x:268, y, class:"chartLabel" }, `${s.label} · ${chartNumber(s.value)} (${Math.round(part*100)}%)`));
+    }
+  });
+  if(series.length>12) svg.appendChild(svgEl("text", { x:250, y:20+12*18, class:"chartLabel" }, `+${series.length-12} more`));
+  return svg;
+}
+
+// Time series: buckets in order along x, value axis from 0
+function lineChart(series, v){
+  const W=560, H=240, L=50, R=16, T=12, B=36;
+  const max=Math.max(...series.map(s=>s.value), 0) || 1;
+  const x=(i)=>L+(series.length===1 ? (W-L-R)/2 : i*(W-L-R)/(series.length-1));
+  const y=(val)=>T+(H-T-B)*(1-val/max);
+  const svg=svgEl("svg", { viewBox:`0 0 ${W} ${H}`, width:"100%", role:"img", "aria-label":v.title||"line chart" });
+  [0, 0.5, 1].forEach(f=>{
+    svg.appendChild(svgEl("line", { x1:L, x2:W-R, y1:y(max*f), y2:y(max*f), class:"chartGrid" }));
+    svg.appendChild(svgEl("text", { x:L-6, y:y(max*f)+4, "text-anchor":"end", class:"chartLabel" }, chartNumber(Math.round(max*f*100)/100)));
+  });
+  svg.appendChild(svgEl("polyline", { points: series.map((s,i)=>`${x(i)},${y(s.value)}`).join(" "), fill:"none", stroke:CHART_COLORS[1], "stroke-width":2 }));
+  const every=Math.ceil(series.length/8);
+  series.forEach((s,i)=>{
+    const dot=svgEl("circle", { cx:x(i), cy:y(s.value), r:3, fill:CHART_COLORS[1] });
+    dot.appendChild(svgEl("title", {}, `${s.label}: ${chartNumber(s.value)}`));
+    svg.appendChild(dot);
+    if(i%every===0 || i===series.length-1) svg.appendChild(svgEl("text", { x:x(i), y:H-B+18, "text-anchor":"middle", class:"chartLabel" }, s.label));
+  });
+  return svg;
+}
+
+function describeSteps(out, shown){
+  // one line per tool call across all agent rounds, plus the stop reason if not a normal finish
+  const lines=[];
+  (out.steps||[]).slice(shown||0).forEach(s=>{
+    if(s.type==="approval") lines.push(`Change ${s.decision}`);
+    (s.toolCalls||[]).forEach(tc=>{
+      lines.push(`Step ${s.step} · ${tc.name} · ${tc.ok?"ok":"failed ("+tc.status+")"} · ${tc.durationMs} ms`);
+    });
+  });
+  if(out.stopReason && !["completed","awaiting_approval"].includes(out.stopReason)) lines.push(`Stopped: ${out.stopReason}`);
+  return lines.join("\n");
+}
+
+function setSession(id){
+  state.sessionId = id || "";
+  localStorage.setItem("sessionId", state.sessionId);
+}
+
+async function loadConversations(){
+  const out = await api("/api/conversations/list", {});
+  const box=$("convItems");
+  box.innerHTML="";
+  (out.conversations||[]).forEach(c=>{
+    const row=document.createElement("div");
+    row.className="convItem"+(c.id===state.sessionId?" active":"");
+    const t=document.createElement("button");
+    t.className="title"; t.textContent=c.title||"(untitled)"; t.title=`${c.title} · ${c.tenant||"default"} · ${c.updatedAt}`;
+    t.onclick=()=>openConversation(c.id).catch(e=>addBubble("ai","Error: "+e.message));
+    const ren=document.createElement("button");
+    ren.className="btn"; ren.textContent="Rename";
+    ren.onclick=async ()=>{
+      const title=prompt("Conversation title", c.title||"");
+      if(!title) return;
+      await api("/api/conversations/rename", { id:c.id, title });
+      loadConversations();
+    };
+    const del=document.createElement("button");
+    del.className="btn"; del.textContent="Del";
+    del.onclick=async ()=>{
+      if(!confirm(`Delete "${c.title}"?`)) return;
+      await api("/api/conversations/delete", { id:c.id });
+      if(c.id===state.sessionId){ setSession(""); chatEl.innerHTML=""; }
+      loadConversations();
+    };
+    row.appendChild(t); row.appendChild(ren); row.appendChild(del);
+    box.appendChild(row);
+  });
+}
+
+async function openConversation(id){
+  const out = await api("/api/conversations/get", { id });
+  setSession(id);
+  if(out.conversation?.tenant && [...$("tenantSel").options].some(o=>o.value===out.conversation.tenant)) setTenant(out.conversation.tenant);
+  chatEl.innerHTML="";
+  (out.conversation?.messages||[]).forEach(m=>{
+    if(m.role==="user") addBubble("user", String(m.content||""));
+    else if(m.role==="assistant"){
+      (m.tool_calls||[]).forEach(tc=>{
+        let args={};
+        try{ args=JSON.parse(tc.function?.arguments||"{}"); }catch{}
+        addBubble("ai", toolStatusLabel(tc.function?.name, args).replace(/…$/,"")).classList.add("meta");
+      });
+      if(m.content) addBubble("ai", String(m.content));
+    }
+  });
+  loadConversations().catch(()=>{});
+}
+
+function renderAgentResult(out, shown){
+  if(out.sessionId) setSession(out.sessionId);
+  const trail = describeSteps(out, shown);
+  if(trail) addBubble("ai", trail);
+  (out.steps||[]).slice(shown||0).forEach(s=>(s.toolCalls||[]).forEach(tc=>{
+    if(tc.visualization) addBubble("ai", { __chart: tc.visualization });
+    if(tc.export) exportBubble(tc);
+  }));
+  if(out.stopReason==="awaiting_approval" && out.pendingAction){
+    if(out.reply) addBubble("ai", out.reply);
+    addBubble("ai", { __approval: out.pendingAction, shown: (out.steps||[]).length });
+  }else{
+    addBubble("ai", out.reply || "");
+  }
+  fallbackNote(out.answeredBy);
+  budgetNote(out.budget);
+}
+
+// Shown when the reply came from a fallback provider rather than the one selected in Settings
+function fallbackNote(by){
+  if(!by || !by.fallback) return;
+  const failed=(by.errors||[]).map(e=>`${e.provider}${e.status?` (${e.status})`:""}`).join(", ");
+  addBubble("ai", `Answered by fallback ${by.provider}${by.model?" / "+by.model:""}`+(failed?` · failed: ${failed}`:"")).classList.add("meta");
+}
+
+// The tenant went over its monthly AI budget (warn mode keeps answering, block mode refuses the next chat)
+function budgetNote(b){
+  if(!b) return;
+  addBubble("ai", `Tenant ${b.tenant} is over its AI budget for ${b.month}: ${b.spent} of ${b.monthly} ${b.currency}`+(b.mode==="block"?" · new chats are blocked":"")).classList.add("meta");
+}
+
+function renderApproval(p, shown){
+  const box=document.createElement("div");
+  const h=document.createElement("b");
+  h.textContent="Approval required before changing Maximo data";
+  box.appendChild(h);
+  (p.calls||[]).forEach(c=>{
+    const m=document.createElement("div");
+    m.className="meta";
+    m.textContent=`${c.name} · ${c.args?.os||""}`+(c.preview?.error ? ` · preview failed: ${c.preview.detail||c.preview.error}` : "");
+    box.appendChild(m);
+    box.appendChild(renderTable({
+      columns:["field","before","after"],
+      rows:(c.diff||[]).map(d=>({ field:d.field, before: d.before==null?"":JSON.stringify(d.before), after: JSON.stringify(d.after) }))
+    }));
+  });
+  const actions=document.createElement("div");
+  actions.className="composer";
+  const decide = async (decision)=>{
+    actions.querySelectorAll("button").forEach(b=>b.disabled=true);
+    try{
+      const out = await api("/api/agent/approval", { id: p.id, decision });
+      actions.textContent = decision==="approve" ? "Approved" : "Rejected";
+      renderAgentResult(out, shown);
+    }catch(e){
+      actions.textContent = "Error: "+e.message;
+    }
+  };
+  [["Approve","approve","btn primary"],["Reject","reject","btn"]].forEach(([label,decision,cls])=>{
+    const b=document.createElement("button");
+    b.className=cls; b.textContent=label;
+    b.onclick=()=>decide(decision);
+    actions.appendChild(b);
+  });
+  box.appendChild(actions);
+  return box;
+}
+
+function toolStatusLabel(name, args){
+  if(name==="maximo.listOS") return "listing object structures…";
+  if(name==="maximo.aggregateOS") return `counting ${args?.os||"records"} by ${args?.groupBy||"group"}…`;
+  if(name==="maximo.queryOS") return `querying ${args?.os||"Maximo"}…`;
+  return `${name}${args?.os ? " on "+args.os : ""}…`;
+}
+
+// Streamed agent run: text bubbles grow with each delta, tool calls get live status lines
+async function streamAgentChat(body){
+  let textBubble=null;
+  const status={};
+  await apiStream("/api/agent/chat/stream", body, (event, data)=>{
+    if(event==="delta"){
+      if(!textBubble) textBubble = addBubble("ai", "");
+      textBubble.textContent += data.content || "";
+      chatEl.scrollTop = chatEl.scrollHeight;
+    }else if(event==="tool_call_started"){
+      textBubble = null;
+      status[data.id] = addBubble("ai", toolStatusLabel(data.name, data.args));
+      status[data.id].classList.add("meta");
+    }else if(event==="tool_call_finished"){
+      const el = status[data.id];
+      if(el) el.textContent = `${el.textContent.replace(/…$/,"")} · ${data.ok?"ok":"failed ("+data.status+")"} · ${data.durationMs} ms`;
+      if(el && data.export) el.appendChild(exportLinks(data.export));
+      if(data.visualization) addBubble("ai", { __chart: data.visualization });
+    }else if(event==="fallback"){
+      // a provider broke off mid-answer: drop its partial text, the fallback answers from scratch
+      if(textBubble && data.partial) textBubble.parentElement.remove();
+      textBubble = null;
+      addBubble("ai", `${state.provider} failed, trying ${data.provider}${data.model?" / "+data.model:""}…`).classList.add("meta");
+    }else if(event==="done"){
+      if(data.sessionId){ setSession(data.sessionId); loadConversations().catch(()=>{}); }
+      fallbackNote(data.answeredBy);
+      budgetNote(data.budget);
+      if(data.stopReason==="awaiting_approval" && data.pendingAction){
+        addBubble("ai", { __approval: data.pendingAction, shown: (data.steps||[]).length });
+      }else{
+        if(!textBubble) addBubble("ai", data.reply || "");
+        if(data.stopReason && data.stopReason!=="completed") addBubble("ai", `Stopped: ${data.stopReason}`);
+      }
+    }else if(event==="error"){
+      addBubble("ai", "Error: "+(data.detail||data.error||"stream failed"));
+    }
+  });
+}
+
+async function loadTraces(){
+  const q = new URLSearchParams();
+  if($("traceKind").value) q.set("kind", $("traceKind").value);
+  if($("traceStatus").value) q.set("status", $("traceStatus").value);
+  if($("traceSearch").value.trim()) q.set("q", $("traceSearch").value.trim());
+  if($("traceRequestId").value.trim()) q.set("requestId", $("traceRequestId").value.trim());
+  const out = await apiGet("/api/trace?"+q.toString());
+  const tbody=$("traceBody");
+  tbody.innerHTML="";
+  (out.traces||[]).forEach(t=>{
+    const tr=document.createElement("tr");
+    tr.className="clickable";
+    [new Date(t.ts).toLocaleTimeString(), (t.requestId||"").slice(0,8), t.kind, t.method, t.status||"ERR", t.durationMs ?? "", t.url].forEach((v,i)=>{
+      const td=document.createElement("td");
+      td.textContent=String(v);
+      if(i===4 && !t.ok) td.className="err";
+      tr.appendChild(td);
+    });
+    tr.onclick=async ()=>{
+      const d = await apiGet("/api/trace/"+encodeURIComponent(t.id));
+      $("traceDetail").textContent = JSON.stringify(d.trace, null, 2);
+    };
+    // request id cell filters the log down to one correlated chat/query
+    tr.children[1].title="Filter by this request";
+    tr.children[1].onclick=(e)=>{ e.stopPropagation(); $("traceRequestId").value=t.requestId; loadTraces(); };
+    tbody.appendChild(tr);
+  });
+  $("traceNote").textContent = `${(out.traces||[]).length} entr${(out.traces||[]).length===1?"y":"ies"} · keeps last ${out.max}${out.persisted?" · persisted on PVC":""}`;
+}
+$("traceRefresh").onclick = ()=>loadTraces().catch(e=>{ $("traceNote").textContent="Load failed: "+e.message; });
+$("traceClear").onclick = async ()=>{
+  if(!confirm("Clear the trace log?")) return;
+  await api("/api/trace/clear", {});
+  loadTraces().catch(()=>{});
+};
+
+/* Usage: token and cost aggregates from /api/usage, tenant budgets and the price table */
+function usageQuery(){
+  const q = new URLSearchParams();
+  [["from","usageFrom"],["to","usageTo"],["tenant","usageTenant"],["user","usageUser"],["groupBy","usageGroupBy"]].forEach(([k,id])=>{
+    const v=$(id).value.trim();
+    if(v) q.set(k, v);
+  });
+  return q;
+}
+async function loadUsage(){
+  if(!$("usageFrom").value) $("usageFrom").value = new Date().toISOString().slice(0,8)+"01";
+  const q = usageQuery();
+  const out = await apiGet("/api/usage?"+q.toString());
+  q.set("format","csv");
+  $("usageCsv").href = "/api/usage?"+q.toString();
+  const cols = [...(out.groupBy||[]), "requests", "calls", "promptTokens", "completionTokens", "totalTokens", "cost"];
+  const rows = (out.groups||[]).map(g=>Object.fromEntries(cols.map(c=>[c, c==="cost" ? g.cost.toFixed(4) : g[c]])));
+  $("usageTable").innerHTML="";
+  $("usageTable").appendChild(renderTable({ columns: cols, rows }));
+  const t = out.totals || {};
+  $("usageNote").textContent = `${t.requests||0} requests · ${t.calls||0} AI calls · ${t.totalTokens||0} tokens · ${(t.cost||0).toFixed(4)} ${out.currency}`+(t.estimatedCalls?` · ${t.estimatedCalls} estimated`:"");
+  const budgets = out.budgets || [];
+  $("usageBudgets").innerHTML="";
+  if(budgets.length) $("usageBudgets").appendChild(renderTable({
+    columns:["tenant","budget","spent","mode","status"],
+    rows: budgets.map(b=>({ tenant:b.tenant, budget:`${b.monthly} ${b.currency}`, spent:`${b.spent} ${b.currency}`, mode:b.mode, status: b.exceeded?"exceeded":`${Math.round(b.spent/b.monthly*100)}%` }))
+  }));
+  else $("usageBudgets").textContent = "No tenant has a monthly budget. Set one per tenant in Settings.";
+  $("usagePrices").value = (out.prices||[]).map(p=>`${p.match} ${p.input} ${p.output}`).join("\n");
+  $("usageCurrency").value = out.currency || "USD";
+}
+$("usageRefresh").onclick = ()=>loadUsage().catch(e=>{ $("usageNote").textContent="Load failed: "+e.message; });
+$("usageSavePrices").onclick = async ()=>{
+  const lines = $("usagePrices").value.split("\n").map(l=>l.trim()).filter(Boolean);
+  const prices = lines.map(l=>l.split(/\s+/)).map(([match,input,output])=>({ match, input:Number(input), output:Number(output) }));
+  const bad = prices.find(p=>!p.match || !Number.isFinite(p.input) || !Number.isFinite(p.output));
+  if(bad) return alert(`Each line needs: provider:model input output (got "${bad.match||""}")`);
+  try{
+    await api("/api/settings", { payload:{ usage:{ currency: $("usageCurrency").value.trim(), prices } } });
+    await loadUsage();
+  }catch(e){ alert("Save failed: "+e.message); }
+};
+
+/* Audit: tool calls recorded by the MCP server (newest first), with CSV / JSONL export of all matches */
+function auditQuery(){
+  const q = new URLSearchParams();
+  [["from","auditFrom"],["to","auditTo"],["tenant","auditTenant"],["user","auditUser"],["tool","auditTool"],["status","auditStatus"]].forEach(([k,id])=>{
+    const v=$(id).value.trim();
+    if(v) q.set(k, v);
+  });
+  return q;
+}
+async function loadAudit(){
+  const q = auditQuery();
+  const out = await apiGet("/api/audit?"+q.toString());
+  q.set("format","csv");
+  $("auditCsv").href = "/api/audit?"+q.toString();
+  q.set("format","jsonl");
+  $("auditJsonl").href = "/api/audit?"+q.toString();
+  const entries = out.entries || [];
+  $("auditTable").innerHTML="";
+  $("auditTable").appendChild(renderTable({
+    columns:["time","user","tenant","tool","status","rows","ms","conversation","prompt","url"],
+    rows: entries.map(e=>({ time:e.ts, user:e.caller?.user||e.caller?.key||"", tenant:e.tenant, tool:e.tool+(e.dryRun?" (dry run)":""),
+      status:e.status, rows:e.rows??"", ms:e.durationMs, conversation:e.sessionId, prompt:e.prompt, url:e.url }))
+  }));
+  $("auditNote").textContent = `${entries.length} entries`+(entries.length>=200?" (latest 200; export for all)":"")+(out.hashChain?" · hash chain on":"");
+}
+$("auditRefresh").onclick = ()=>loadAudit().catch(e=>{ $("auditNote").textContent="Load failed: "+e.message; });
+$("auditVerify").onclick = async ()=>{
+  try{
+    const v = await apiGet("/api/audit/verify");
+    $("auditNote").textContent = v.ok ? `Hash chain intact: ${v.checked} chained entries`+(v.unchained?`, ${v.unchained} written before the chain was enabled`:"")
+      : `Hash chain broken in ${v.broken.file}${v.broken.ts?` at ${v.broken.ts}`:""}: ${v.broken.reason}`;
+  }catch(e){ $("auditNote").textContent="Verify failed: "+e.message; }
+};
+
+/* REST Builder: compose an OSLC query, preview its URL and run it through /api/rest/run */
+const REST_OPS = [["=","="],["!=","!="],[">",">"],[">=",">="],["<","<"],["<=","<="],["like","contains"],["starts","starts with"],["in","in (a,b)"],["null","is empty"],["notnull","is not empty"]];
+let restSaved = [];
+
+function renderRestTenants(tenants){
+  const sel=$("restTenant"), cur=sel.value || state.tenant;
+  sel.innerHTML="";
+  (tenants.length ? tenants : [{ id:"", label:"(default)" }]).forEach(t=>{
+    const o=document.createElement("option"); o.value=t.id; o.textContent=t.label && t.id ? `${t.label} (${t.id})` : (t.label || t.id);
+    sel.appendChild(o);
+  });
+  if(tenants.some(t=>t.id===cur)) sel.value=cur;
+}
+
+function addRestCondition(c){
+  const row=document.createElement("div");
+  row.className="restCond";
+  const field=document.createElement("input"); field.placeholder="status"; field.value=c?.field||"";
+  const op=document.createElement("select");
+  REST_OPS.forEach(([v,l])=>{ const o=document.createElement("option"); o.value=v; o.textContent=l; op.appendChild(o); });
+  op.value=c?.op||"=";
+  const value=document.createElement("input"); value.placeholder="APPR"; value.value=c?.value??"";
+  const del=document.createElement("button"); del.className="btn"; del.textContent="Remove";
+  del.onclick=()=>{ row.remove(); restPreview(); };
+  row.append(field, op, value, del);
+  $("restWhere").appendChild(row);
+}
+
+function restSpec(){
+  return {
+    tenant: $("restTenant").value || undefined,
+    os: $("restOs").value.trim(),
+    select: $("restSelect").value.trim(),
+    where: [...$("restWhere").querySelectorAll(".restCond")].map(r=>{
+      const [field, op, value] = r.querySelectorAll("input,select");
+      return { field: field.value.trim(), op: op.value, value: value.value };
+    }).filter(c=>c.field),
+    whereRaw: $("restWhereRaw").value.trim(),
+    orderBy: $("restOrderBy").value.trim(),
+    pageSize: Number($("restPageSize").value||"20"),
+    pageno: Number($("restPageno").value||"1")
+  };
+}
+
+function setRestSpec(r){
+  if(r.tenant && [...$("restTenant").options].some(o=>o.value===r.tenant)) $("restTenant").value=r.tenant;
+  $("restOs").value=r.os||"";
+  $("restSelect").value=r.select||"";
+  $("restWhere").innerHTML="";
+  (r.where||[]).forEach(addRestCondition);
+  $("restWhereRaw").value=r.whereRaw||"";
+  $("restOrderBy").value=r.orderBy||"";
+  $("restPageSize").value=String(r.pageSize||20);
+  $("restPageno").value="1";
+  restPreview();
+}
+
+let restPreviewTimer=null;
+function restPreview(){
+  clearTimeout(restPreviewTimer);
+  restPreviewTimer=setTimeout(async ()=>{
+    const spec=restSpec();
+    if(!spec.os){ $("restUrl").textContent="Pick an object structure."; return; }
+    try{
+      const out = await api("/api/rest/run", { ...spec, preview:true });
+      $("restUrl").textContent = out.url;
+    }catch(e){
+      $("restUrl").textContent = "Invalid request: "+e.message;
+    }
+  }, 250);
+}
+$("restTenant").onchange = restPreview;
+["restOs","restSelect","restWhereRaw","restOrderBy","restPageSize","restPageno"].forEach(id=>$(id).addEventListener("input", restPreview));
+$("restWhere").addEventListener("input", restPreview);
+$("restWhere").addEventListener("change", restPreview);
+$("restAddCond").onclick = ()=>{ addRestCondition(); restPreview(); };
+
+$("restLoadOs").onclick = async ()=>{
+  $("restOsNote").textContent="Loading…";
+  try{
+    const out = await api("/api/rest/objectStructures", { tenant: $("restTenant").value || undefined });
+    const dl=$("restOsList"); dl.innerHTML="";
+    (out.objectStructures||[]).forEach(n=>{ const o=document.createElement("option"); o.value=n; dl.appendChild(o); });
+    $("restOsNote").textContent = `${(out.objectStructures||[]).length} object structures on ${out.tenant}`;
+  }catch(e){
+    $("restOsNote").textContent="Load failed: "+e.message;
+  }
+};
+
+// Field names come from one sample record (select=*); click a name to add it to the select list
+$("restLoadFields").onclick = async ()=>{
+  const spec=restSpec();
+  if(!spec.os){ $("restOsNote").textContent="Pick an object structure first."; return; }
+  $("restOsNote").textContent="Loading fields…";
+  try{
+    const out = await api("/api/rest/run", { tenant: spec.tenant, os: spec.os, select:"*", pageSize:1 });
+    const box=$("restFields"); box.innerHTML="";
+    (out.table?.columns||[]).forEach(c=>{
+      const b=document.createElement("button"); b.className="btn"; b.textContent=c;
+      b.onclick=()=>{
+        const cur=$("restSelect").value.split(",").map(x=>x.trim()).filter(Boolean);
+        if(!cur.includes(c)) cur.push(c);
+        $("restSelect").value=cur.join(","); restPreview();
+      };
+      box.appendChild(b);
+    });
+    $("restOsNote").textContent = out.table?.columns?.length ? `${out.table.columns.length} fields` : "No records to sample fields from";
+  }catch(e){
+    $("restOsNote").textContent="Load failed: "+e.message;
+  }
+};
+
+$("restRun").onclick = async ()=>{
+  $("restNote").textContent="Running…";
+  $("restTable").innerHTML="";
+  try{
+    const out = await api("/api/rest/run", restSpec());
+    $("restUrl").textContent = out.url;
+    $("restTable").appendChild(renderTable(out.table));
+    $("restRaw").textContent = JSON.stringify(out.raw, null, 2);
+    $("restNote").textContent = `${out.table.rows.length} row(s)` + (out.totalCount!=null ? ` of ${out.totalCount}` : "") + ` · ${out.durationMs} ms` + (out.hasNext ? " · more pages" : "");
+  }catch(e){
+    $("restNote").textContent="Run failed: "+e.message;
+    $("restRaw").textContent = e.message;
+  }
+};
+
+function renderRestSaved(){
+  const sel=$("restSaved");
+  sel.innerHTML="";
+  restSaved.forEach((r,idx)=>{ const o=document.createElement("option"); o.value=String(idx); o.textContent=`${r.name} · ${r.os}`; sel.appendChild(o); });
+}
+async function saveRestRequests(){
+  const out = await api("/api/rest/saved", { restRequests: restSaved });
+  restSaved = out.restRequests || restSaved;
+  renderRestSaved();
+}
+$("restSave").onclick = async ()=>{
+  const name=$("restName").value.trim();
+  const spec=restSpec();
+  if(!name || !spec.os){ alert("Name and object structure are required."); return; }
+  const { pageno, ...keep } = spec;
+  restSaved = restSaved.filter(r=>r.name!==name).concat([{ name, ...keep, tenant: spec.tenant || "" }]);
+  await saveRestRequests();
+};
+$("restLoad").onclick = ()=>{
+  const r=restSaved[Number($("restSaved").value)];
+  if(!r) return;
+  $("restName").value=r.name;
+  setRestSpec(r);
+};
+$("restDelete").onclick = async ()=>{
+  const r=restSaved[Number($("restSaved").value)];
+  if(!r || !confirm(`Delete saved request "${r.name}"?`)) return;
+  restSaved = restSaved.filter(x=>x!==r);
+  await saveRestRequests();
+};
+
 const maximoPrompts = [
   { label:"Show me all assets", text:"show all assets" },
   { label:"Show me all locations", text:"show all locations" },
@@ -228,26 +1086,37 @@ $("send").onclick = async ()=>{
 
   try{
     if(state.mcpTools){
-      const out = await api("/api/agent/chat", {
+      await streamAgentChat({
         provider: state.provider,
         model: state.model,
         temperature: state.temp,
         system: state.system,
-        text: txt
+        text: txt,
+        maxSteps: state.maxSteps,
+        sessionId: state.sessionId || undefined,
+        tenant: state.tenant || undefined
       });
-      addBubble("ai", out.reply || "");
     }else{
       // direct Maximo in "predefined Maximo prompt" style
-      const out = await api("/api/maximo/query", { os: state.os, text: txt });
+      const out = await api("/api/maximo/query", { os: state.os, text: txt, tenant: state.tenant || undefined });
+      addBubble("ai", out.summary || "OK");
+      if(out.visualization) addBubble("ai", { __chart: out.visualization });
       if(out.table) addBubble("ai", { __table: out.table });
-      else addBubble("ai", out.summary || "OK");
     }
   }catch(e){
     addBubble("ai", "Error: "+e.message);
   }
 };
 
-$("clearChat").onclick = ()=>{ chatEl.innerHTML=""; };
+// Clearing the view starts a new conversation; past ones stay in the sidebar
+$("clearChat").onclick = $("newChat").onclick = ()=>{
+  chatEl.innerHTML="";
+  setSession("");
+  loadConversations().catch(()=>{});
+};
 
 navTo("chat");
-loadSettings().catch(()=>{});
+loadAuth().catch(()=>{}).then(()=>loadSettings()).catch(()=>{}).then(()=>{
+  if(state.sessionId) openConversation(state.sessionId).catch(()=>setSession(""));
+  else loadConversations().catch(()=>{});
+});
@@ -4,14 +4,29 @@
  * - Serves static UI from ./public
  * - Settings persisted to PVC file (SETTINGS_FILE)
  * - Secrets via env override PVC ("secure hybrid": env wins)
- * - OpenAI-compatible AI providers (OpenAI/Mistral/DeepSeek) with tool calling
- * - MCP orchestration (tools + call) with defensive tool normalization
+ * - AI provider adapters with tool calling: OpenAI-compatible (OpenAI/Mistral/DeepSeek/Ollama/custom bases),
+ *   Anthropic Messages, Azure OpenAI deployments and watsonx.ai
+ * - Retries with backoff (Retry-After aware), timeouts and an ordered provider fallback chain
+ * - MCP orchestration (tools + call) with defensive tool normalization, HMAC/bearer-authenticated (optional mTLS)
+ * - Multi-round agent loop with step budget and stop reasons
+ * - Human approval queue for mutating tool calls
+ * - Streaming chat over Server-Sent Events
+ * - Conversation sessions persisted next to settings (CONVERSATIONS_DIR)
+ * - Trace log of AI / MCP / Maximo calls (/api/trace), optionally persisted
+ * - REST Builder proxy (/api/rest/*) with saved requests in settings
+ * - Token usage and cost per tenant/user (/api/usage) with optional monthly budgets
+ * - Sign-in via OpenShift OAuth proxy or OIDC, viewer/operator/admin roles and per-user tenant scope
  */
 import http from "node:http";
-import { readFile, writeFile, mkdir, stat } from "node:fs/promises";
-import { existsSync } from "node:fs";
+import https from "node:https";
+import { readFile, writeFile, mkdir, stat, readdir, unlink, appendFile } from "node:fs/promises";
+import { existsSync, readFileSync } from "node:fs";
 import path from "node:path";
 import { fileURLToPath } from "node:url";
+import crypto from "node:crypto";
+import zlib from "node:zlib";
+import { AsyncLocalStorage } from "node:async_hooks";
+import { csvCell, probeProblem, safeEqual, metricsRegistry } from "../shared/common.mjs";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,6 +37,11 @@ const SETTINGS_DIR = process.env.SETTINGS_DIR || "/opt/app-root/settings";
 const SETTINGS_FILE = process.env.SETTINGS_FILE || path.join(SETTINGS_DIR, "settings.json");
 
 const MCP_URL_DEFAULT = process.env.MCP_URL || "http://mcp-server:8081";
+const CONVERSATIONS_DIR = process.env.CONVERSATIONS_DIR || path.join(SETTINGS_DIR, "conversations");
+const TENANT_SECRETS_DIR = process.env.TENANT_SECRETS_DIR || "/var/run/secrets/maximo-tenants";
+const TRACE_MAX = Math.max(Number(process.env.TRACE_MAX) || 500, 10);
+const TRACE_PERSIST = String(process.env.TRACE_PERSIST||"").toLowerCase()==="true";
+const TRACE_FILE = process.env.TRACE_FILE || path.join(SETTINGS_DIR, "trace.jsonl");
 
 function json(res, status, obj) {
   const body = JSON.stringify(obj);
@@ -74,6 +94,20 @@ function applyEnvOverrides(s) {
   if (process.env.MISTRAL_BASE) out.ai.mistral_base = process.env.MISTRAL_BASE;
   if (process.env.DEEPSEEK_API_KEY) out.ai.deepseek_key = process.env.DEEPSEEK_API_KEY;
   if (process.env.DEEPSEEK_BASE) out.ai.deepseek_base = process.env.DEEPSEEK_BASE;
+  if (process.env.ANTHROPIC_API_KEY) out.ai.anthropic_key = process.env.ANTHROPIC_API_KEY;
+  if (process.env.ANTHROPIC_BASE) out.ai.anthropic_base = process.env.ANTHROPIC_BASE;
+  if (process.env.AZURE_OPENAI_API_KEY) out.ai.azure_key = process.env.AZURE_OPENAI_API_KEY;
+  if (process.env.AZURE_OPENAI_ENDPOINT) out.ai.azure_base = process.env.AZURE_OPENAI_ENDPOINT;
+  if (process.env.AZURE_OPENAI_API_VERSION) out.ai.azure_api_version = process.env.AZURE_OPENAI_API_VERSION;
+  if (process.env.AZURE_OPENAI_DEPLOYMENTS) out.ai.azure_deployments = process.env.AZURE_OPENAI_DEPLOYMENTS;
+  if (process.env.WATSONX_API_KEY) out.ai.watsonx_key = process.env.WATSONX_API_KEY;
+  if (process.env.WATSONX_URL) out.ai.watsonx_base = process.env.WATSONX_URL;
+  if (process.env.WATSONX_PROJECT_ID) out.ai.watsonx_project_id = process.env.WATSONX_PROJECT_ID;
+  if (process.env.WATSONX_SPACE_ID) out.ai.watsonx_space_id = process.env.WATSONX_SPACE_ID;
+  if (process.env.WATSONX_IAM_URL) out.ai.watsonx_iam_url = process.env.WATSONX_IAM_URL;
+  if (process.env.OLLAMA_BASE) out.ai.ollama_base = process.env.OLLAMA_BASE;
+  if (process.env.OLLAMA_API_KEY) out.ai.ollama_key = process.env.OLLAMA_API_KEY;
+  if (process.env.AI_FALLBACKS) out.ai.fallbacks = parseFallbacks(process.env.AI_FALLBACKS);
 
   // Maximo env overrides
   if (process.env.MAXIMO_URL) out.maximo.baseUrl = process.env.MAXIMO_URL;
@@ -84,6 +118,11 @@ function applyEnvOverrides(s) {
   // MCP env overrides
   if (process.env.MCP_URL) out.mcp.url = process.env.MCP_URL;
   if (process.env.MCP_ENABLE_TOOLS) out.mcp.enableTools = String(process.env.MCP_ENABLE_TOOLS).toLowerCase()==="true";
+
+  // Agent loop env overrides
+  out.agent = out.agent || {};
+  if (process.env.AGENT_MAX_STEPS) out.agent.maxSteps = Number(process.env.AGENT_MAX_STEPS);
+  if (process.env.AGENT_HISTORY_TOKENS) out.agent.historyTokens = Number(process.env.AGENT_HISTORY_TOKENS);
   return out;
 }
 
@@ -92,6 +131,33 @@ async function effectiveSettings() {
   return applyEnvOverrides(raw);
 }
 
+const TENANT_AUTH_TYPES = ["apikey", "maxauth", "ltpa"];
+
+// Accept only secret references; anything else (e.g. a pasted key) is dropped.
+function secretRefOrEmpty(v) {
+  const s = String(v||"").trim();
+  return /^env:[A-Za-z_][A-Za-z0-9_]*$/.test(s) || /^file:\/[^\s]+$/.test(s) ? s : "";
+}
+
+// Query limits enforced by the MCP server for this tenant
+function tenantGuardrails(g) {
+  const x = (g && typeof g === "object") ? g : {};
+  const max = Math.floor(Number(x.maxPageSize));
+  return {
+    forceSite: x.forceSite === true,
+    forceOrg: x.forceOrg === true,
+    deniedOS: (Array.isArray(x.deniedOS) ? x.deniedOS : String(x.deniedOS||"").split(",")).map(v => String(v).trim().toLowerCase()).filter(Boolean),
+    ...(max > 0 ? { maxPageSize: max } : {})
+  };
+}
+
+// Optional monthly AI spend limit (in the price table currency); warn only notes it, block refuses new chats
+function tenantBudget(b) {
+  const monthly = Number(b?.monthly);
+  if (!(monthly > 0)) return undefined;
+  return { monthly, mode: b.mode === "block" ? "block" : "warn" };
+}
+
 async function saveSettingsFromUI(payload) {
   // Persist only non-secret UI configuration to PVC (hybrid model)
   const cur = await loadSettingsRaw();
@@ -105,12 +171,24 @@ async function saveSettingsFromUI(payload) {
       delete next.maximo.apiKey;
     }
     if (payload.mcp && typeof payload.mcp === "object") next.mcp = { ...(next.mcp||{}), ...payload.mcp };
+    if (payload.agent && typeof payload.agent === "object") next.agent = { ...(next.agent||{}), ...payload.agent };
+    if (payload.aiFallbacks !== undefined) next.ai = { ...(next.ai||{}), fallbacks: parseFallbacks(payload.aiFallbacks) };
+    if (Array.isArray(payload.aiProviders)) next.ai = { ...(next.ai||{}), providers: payload.aiProviders.map(sanitizeCustomProvider).filter(Boolean) };
+    if (Array.isArray(payload.authRoles)) next.auth = { ...(next.auth||{}), roles: sanitizeAuthRoles(payload.authRoles) };
+    if (payload.usage && typeof payload.usage === "object") next.usage = { currency: usageCurrency(payload.usage), prices: sanitizeUsagePrices(payload.usage.prices) };
+    if (Array.isArray(payload.restRequests)) next.restRequests = payload.restRequests.map(sanitizeRestRequest).filter(r => r.name && r.os);
     if (Array.isArray(payload.tenants)) next.tenants = payload.tenants.map(t => ({
       id: String(t.id||"").trim(),
       label: String(t.label||"").trim(),
       maximoBaseUrl: String(t.maximoBaseUrl||"").trim(),
       org: String(t.org||"").trim(),
-      site: String(t.site||"").trim()
+      site: String(t.site||"").trim(),
+      // credentials are stored as references only (env:NAME / file:/path), never as values
+      authType: TENANT_AUTH_TYPES.includes(String(t.authType||"").toLowerCase()) ? String(t.authType).toLowerCase() : "apikey",
+      secretRef: secretRefOrEmpty(t.secretRef),
+      userRef: secretRefOrEmpty(t.userRef),
+      guardrails: tenantGuardrails(t.guardrails),
+      budget: tenantBudget(t.budget)
     })).filter(t => t.id);
   }
 
@@ -153,24 +231,233 @@ function toOpenAITools(rawTools) {
   return out;
 }
 
-function providerConfig(provider, s) {
-  const p = String(provider||"openai").toLowerCase();
-  const baseDefaults = {
-    openai: "https://api.openai.com",
-    mistral: "https://api.mistral.ai",
-    deepseek: "https://api.deepseek.com"
+// Tools that always wait for approval, whatever /mcp/tools reports. Without a "mutating" list (older MCP
+// server, error body, a proxy dropping the field) every tool not marked readOnlyHint:true is treated as a write.
+const WRITE_TOOLS = ["maximo.createRecord", "maximo.updateRecord", "maximo.changeStatus"];
+
+function mutatingToolNames(toolsJson) {
+  const listed = Array.isArray(toolsJson?.mutating) ? toolsJson.mutating.map(String)
+    : (Array.isArray(toolsJson?.tools) ? toolsJson.tools : [])
+      .filter(t => (t?.annotations ?? t?.function?.annotations)?.readOnlyHint !== true)
+      .map(t => String(t?.name || t?.function?.name || "")).filter(Boolean);
+  return [...new Set([...WRITE_TOOLS, ...listed])];
+}
+
+/* ---------------- AI provider adapters ---------------- */
+// kind selects the wire protocol; everything upstream of the adapters speaks OpenAI chat format.
+const AI_KINDS = ["openai", "anthropic", "azure", "watsonx"];
+const AI_PROVIDERS = {
+  openai: { kind:"openai", label:"OpenAI", base:"https://api.openai.com", models:["gpt-4o-mini","gpt-4o","gpt-4.1-mini","gpt-4.1"] },
+  mistral: { kind:"openai", label:"Mistral", base:"https://api.mistral.ai", models:["mistral-large-latest","mistral-small-latest","open-mistral-nemo"] },
+  deepseek: { kind:"openai", label:"DeepSeek", base:"https://api.deepseek.com", models:["deepseek-chat","deepseek-reasoner"] },
+  anthropic: { kind:"anthropic", label:"Anthropic", base:"https://api.anthropic.com", models:["claude-sonnet-4-5","claude-haiku-4-5","claude-opus-4-1"] },
+  azure: { kind:"azure", label:"Azure OpenAI", base:"", models:[] },
+  watsonx: { kind:"watsonx", label:"IBM watsonx.ai", base:"https://us-south.ml.cloud.ibm.com", models:["ibm/granite-3-8b-instruct","meta-llama/llama-3-3-70b-instruct","mistralai/mistral-large"] },
+  ollama: { kind:"openai", label:"Ollama", base:"http://localhost:11434", keyOptional:true, models:["llama3.1","qwen2.5","mistral-nemo"] }
+};
+const AZURE_API_VERSION_DEFAULT = "2024-10-21";
+const WATSONX_API_VERSION = "2024-10-08";
+const WATSONX_IAM_URL_DEFAULT = "https://iam.cloud.ibm.com/identity/token";
+const ANTHROPIC_VERSION = "2023-06-01";
+const ANTHROPIC_MAX_TOKENS = 4096;
+
+// Custom providers from the Settings page (settings.ai.providers); the key is a reference, never a value.
+function sanitizeCustomProvider(p) {
+  const id = String(p?.id||"").trim().toLowerCase();
+  if (!/^[a-z0-9][a-z0-9_-]{1,31}$/.test(id) || AI_PROVIDERS[id]) return null;
+  const kind = AI_KINDS.includes(String(p?.kind||"").toLowerCase()) ? String(p.kind).toLowerCase() : "openai";
+  return {
+    id, kind,
+    label: String(p?.label||"").trim().slice(0, 60),
+    base: String(p?.base||"").trim().replace(/\/$/,""),
+    keyRef: secretRefOrEmpty(p?.keyRef),
+    apiVersion: String(p?.apiVersion||"").trim(),
+    projectId: String(p?.projectId||"").trim(),
+    models: (Array.isArray(p?.models) ? p.models : String(p?.models||"").split(",")).map(x => String(x).trim()).filter(Boolean)
   };
-  const cfg = { provider: p };
+}
+
+async function providerConfig(provider, s) {
+  const p = String(provider||"openai").toLowerCase();
   const ai = s.ai || {};
-  if (p === "openai") { cfg.key = ai.openai_key || ""; cfg.base = ai.openai_base || baseDefaults.openai; }
-  else if (p === "mistral") { cfg.key = ai.mistral_key || ""; cfg.base = ai.mistral_base || baseDefaults.mistral; }
-  else if (p === "deepseek") { cfg.key = ai.deepseek_key || ""; cfg.base = ai.deepseek_base || baseDefaults.deepseek; }
-  else { cfg.key = ""; cfg.base = ""; }
-  cfg.base = String(cfg.base||"").trim().replace(/\/$/,"");
-  return cfg;
+  const builtIn = AI_PROVIDERS[p];
+  if (builtIn) {
+    return {
+      provider: p, kind: builtIn.kind, label: builtIn.label, keyOptional: !!builtIn.keyOptional, models: builtIn.models,
+      key: String(ai[`${p}_key`] || ""),
+      base: String(ai[`${p}_base`] || builtIn.base).trim().replace(/\/$/,""),
+      apiVersion: String(ai.azure_api_version || AZURE_API_VERSION_DEFAULT),
+      deployments: String(ai.azure_deployments || "").split(",").map(x => x.trim()).filter(Boolean),
+      projectId: String(ai.watsonx_project_id || ""),
+      spaceId: String(ai.watsonx_space_id || ""),
+      iamUrl: String(ai.watsonx_iam_url || WATSONX_IAM_URL_DEFAULT)
+    };
+  }
+  const c = (Array.isArray(ai.providers) ? ai.providers : []).map(sanitizeCustomProvider).find(x => x && x.id === p);
+  if (!c) return { provider: p, kind:"", key:"", base:"", models:[] };
+  return {
+    provider: p, kind: c.kind, label: c.label || c.id, keyOptional: c.kind === "openai", models: c.models,
+    key: await readSecretRef(c.keyRef),
+    base: c.base,
+    apiVersion: c.apiVersion || AZURE_API_VERSION_DEFAULT,
+    deployments: c.kind === "azure" ? c.models : [],
+    projectId: c.projectId, spaceId: "",
+    iamUrl: WATSONX_IAM_URL_DEFAULT
+  };
+}
+
+// What stops a provider from being called, phrased for the UI; null when usable.
+function providerProblem(cfg) {
+  if (!cfg.kind) return { error:"unknown_provider", detail:`Unknown AI provider "${cfg.provider}".` };
+  if (!cfg.key && !cfg.keyOptional) return { error:"missing_api_key", detail:`Missing ${cfg.provider} API key` };
+  if (!cfg.base) return { error:"missing_provider_base", detail:`Missing base URL/endpoint for ${cfg.provider}.` };
+  if (cfg.kind === "watsonx" && !cfg.projectId && !cfg.spaceId) return { error:"missing_watsonx_project", detail:"Set WATSONX_PROJECT_ID (or WATSONX_SPACE_ID)." };
+  return null;
+}
+
+// Base URLs may be given with or without the trailing /v1 (vLLM, Ollama docs use both).
+function openaiPath(base, p) {
+  return `${base.replace(/\/v1$/,"")}/v1${p}`;
+}
+
+const watsonxTokens = new Map(); // iamUrl|key hash -> { token, expires }
+
+// IBM Cloud IAM: API key -> bearer token, cached until a minute before expiry.
+async function watsonxToken(cfg) {
+  const id = `${cfg.iamUrl}|${crypto.createHash("sha256").update(cfg.key).digest("hex")}`;
+  const hit = watsonxTokens.get(id);
+  if (hit && hit.expires > Date.now()) return hit.token;
+  const r = await fetchJson(cfg.iamUrl, {
+    method:"POST",
+    headers:{ "content-type":"application/x-www-form-urlencoded", accept:"application/json" },
+    body: new URLSearchParams({ grant_type:"urn:ibm:params:oauth:grant-type:apikey", apikey: cfg.key }).toString()
+  });
+  if (!r.ok || !r.json?.access_token) throw new Error(`watsonx IAM token request failed (${r.status}). ${String(r.text||"").slice(0,200)}`);
+  const ttl = Number(r.json.expires_in) || 3600;
+  watsonxTokens.set(id, { token: r.json.access_token, expires: Date.now() + (ttl - 60) * 1000 });
+  return r.json.access_token;
+}
+
+async function providerHeaders(cfg) {
+  if (cfg.kind === "anthropic") return { "x-api-key": cfg.key, "anthropic-version": ANTHROPIC_VERSION };
+  if (cfg.kind === "azure") return { "api-key": cfg.key };
+  if (cfg.kind === "watsonx") return { authorization: `Bearer ${await watsonxToken(cfg)}` };
+  return cfg.key ? { authorization: `Bearer ${cfg.key}` } : {};
+}
+
+// Provider-safe tool names (most APIs reject "."): maximo.queryOS <-> maximo__queryOS
+function wireToolName(name) {
+  return String(name||"").replace(/\./g, "__").replace(/[^a-zA-Z0-9_-]/g, "_").slice(0, 64);
+}
+function toolNameMap(tools) {
+  return new Map((tools||[]).map(t => [wireToolName(t.function?.name), t.function?.name]));
+}
+function wireMessages(messages) {
+  return messages.map(m => m.tool_calls
+    ? { ...m, tool_calls: m.tool_calls.map(c => ({ ...c, function:{ ...c.function, name: wireToolName(c.function?.name) } })) }
+    : m);
+}
+
+// OpenAI chat messages -> Anthropic Messages API (system prompt, tool_use / tool_result blocks, strict alternation)
+function anthropicMessages(messages) {
+  const system = [];
+  const out = [];
+  const push = (role, blocks) => {
+    const last = out[out.length-1];
+    if (last && last.role === role) last.content.push(...blocks);
+    else out.push({ role, content: blocks });
+  };
+  for (const m of messages) {
+    if (m.role === "system") { if (m.content) system.push(String(m.content)); continue; }
+    if (m.role === "tool") { push("user", [{ type:"tool_result", tool_use_id: m.tool_call_id, content: String(m.content ?? "") }]); continue; }
+    const blocks = [];
+    if (m.content) blocks.push({ type:"text", text: String(m.content) });
+    for (const c of m.tool_calls || []) {
+      let input = {};
+      try { input = JSON.parse(c.function?.arguments || "{}"); } catch {}
+      blocks.push({ type:"tool_use", id: c.id, name: c.function?.name, input: (input && typeof input === "object") ? input : {} });
+    }
+    if (blocks.length) push(m.role === "assistant" ? "assistant" : "user", blocks);
+  }
+  return { system: system.join("\n\n"), messages: out };
+}
+
+// Build the provider HTTP request for one chat turn.
+async function aiRequest(cfg, { model, temperature, messages, tools, stream }) {
+  const temp = Number.isFinite(Number(temperature)) ? Number(temperature) : 0.7;
+  const wireTools = (Array.isArray(tools) ? tools : []).map(t => ({ ...t, function:{ ...t.function, name: wireToolName(t.function?.name) } }));
+  const msgs = wireMessages(messages);
+  const headers = { "content-type":"application/json", ...await providerHeaders(cfg), ...(stream ? { accept:"text/event-stream" } : {}) };
+  const names = toolNameMap(tools);
+
+  if (cfg.kind === "anthropic") {
+    const a = anthropicMessages(msgs);
+    const body = { model: model || cfg.models[0], max_tokens: ANTHROPIC_MAX_TOKENS, temperature: Math.min(temp, 1), messages: a.messages };
+    if (a.system) body.system = a.system;
+    if (wireTools.length) body.tools = wireTools.map(t => ({ name: t.function.name, description: t.function.description, input_schema: t.function.parameters }));
+    if (stream) body.stream = true;
+    return { url: `${cfg.base}/v1/messages`, headers, body, names };
+  }
+  if (cfg.kind === "watsonx") {
+    const body = { model_id: model || cfg.models[0], messages: msgs, temperature: temp, max_tokens: ANTHROPIC_MAX_TOKENS };
+    if (cfg.projectId) body.project_id = cfg.projectId; else body.space_id = cfg.spaceId;
+    if (wireTools.length) { body.tools = wireTools; body.tool_choice_option = "auto"; }
+    return { url: `${cfg.base}/ml/v1/text/${stream ? "chat_stream" : "chat"}?version=${WATSONX_API_VERSION}`, headers, body, names };
+  }
+  const body = { model: model || cfg.models[0] || "gpt-4o-mini", temperature: temp, messages: msgs };
+  if (wireTools.length) { body.tools = wireTools; body.tool_choice = "auto"; }
+  if (stream) body.stream = true;
+  // OpenAI-style streams only carry a usage chunk when asked for
+  if (stream && (cfg.kind === "azure" || ["openai","deepseek"].includes(cfg.provider))) body.stream_options = { include_usage:true };
+  if (cfg.kind === "azure") {
+    delete body.model; // the deployment in the URL picks the model
+    return { url: `${cfg.base}/openai/deployments/${encodeURIComponent(model || cfg.deployments[0] || "")}/chat/completions?api-version=${encodeURIComponent(cfg.apiVersion)}`, headers, body, names };
+  }
+  return { url: openaiPath(cfg.base, "/chat/completions"), headers, body, names };
+}
+
+// Provider response -> { choices:[{ message }], usage } in OpenAI shape, with original tool names.
+function aiResponse(cfg, j, names) {
+  let message, usage;
+  if (cfg.kind === "anthropic") {
+    const blocks = Array.isArray(j.content) ? j.content : [];
+    message = { role:"assistant", content: blocks.filter(b => b.type === "text").map(b => b.text).join("") };
+    const calls = blocks.filter(b => b.type === "tool_use").map(b => ({ id: b.id, type:"function", function:{ name: b.name, arguments: JSON.stringify(b.input || {}) } }));
+    if (calls.length) message.tool_calls = calls;
+    const u = j.usage || {};
+    usage = { prompt_tokens: u.input_tokens || 0, completion_tokens: u.output_tokens || 0, total_tokens: (u.input_tokens || 0) + (u.output_tokens || 0) };
+  } else {
+    message = j?.choices?.[0]?.message || { role:"assistant", content:"" };
+    usage = j.usage;
+  }
+  if (message.tool_calls) message = { ...message, tool_calls: message.tool_calls.map(c => ({ ...c, function:{ ...c.function, name: names.get(c.function?.name) || c.function?.name } })) };
+  return { ...j, choices:[{ ...(j?.choices?.[0] || {}), message }], usage };
+}
+
+// Models listing URL per API type; the readiness probe calls it too.
+function providerModelsUrl(cfg) {
+  if (cfg.kind === "azure") return `${cfg.base}/openai/deployments?api-version=2022-12-01`;
+  if (cfg.kind === "watsonx") return `${cfg.base}/ml/v1/foundation_model_specs?version=${WATSONX_API_VERSION}&filters=function_text_chat&limit=200`;
+  return cfg.kind === "anthropic" ? `${cfg.base}/v1/models?limit=100` : openaiPath(cfg.base, "/models");
+}
+
+// Provider models listing; callers fall back to the curated list on error.
+async function providerModels(cfg) {
+  if (cfg.kind === "azure") {
+    if (cfg.deployments.length) return { models: cfg.deployments };
+    const r = await tracedFetchJson("ai", providerModelsUrl(cfg), { headers: await providerHeaders(cfg) }, { provider: cfg.provider });
+    return r.ok && r.json ? { models: (r.json.data||[]).map(x => x.id).filter(Boolean) } : { error:`models_failed_${r.status}` };
+  }
+  if (cfg.kind === "watsonx") {
+    const r = await tracedFetchJson("ai", providerModelsUrl(cfg), { headers:{ accept:"application/json" } }, { provider: cfg.provider });
+    return r.ok && r.json ? { models: (r.json.resources||[]).map(x => x.model_id).filter(Boolean) } : { error:`models_failed_${r.status}` };
+  }
+  const r = await tracedFetchJson("ai", providerModelsUrl(cfg), { headers: await providerHeaders(cfg) }, { provider: cfg.provider });
+  return r.ok && r.json ? { models: (Array.isArray(r.json.data) ? r.json.data : []).map(x => x.id).filter(Boolean) } : { error:`models_failed_${r.status}` };
 }
 
 async function fetchJson(url, options) {
+  if (options?.tls && url.startsWith("https:")) return await tlsFetchJson(url, options);
   const r = await fetch(url, options);
   const t = await r.text();
   let j=null;
@@ -178,231 +465,2163 @@ async function fetchJson(url, options) {
   return { ok: r.ok, status: r.status, text: t, json: j, headers: r.headers };
 }
 
-async function openaiCompatChat({ cfg, model, temperature, messages, tools }) {
-  if (!cfg.key) throw new Error(`missing_api_key:${cfg.provider}`);
-  const body = {
-    model: model || "gpt-4o-mini",
-    temperature: Number.isFinite(Number(temperature)) ? Number(temperature) : 0.7,
-    messages
-  };
-  if (Array.isArray(tools) && tools.length) {
-    body.tools = tools;
-    body.tool_choice = "auto";
-  }
-  const r = await fetchJson(`${cfg.base}/v1/chat/completions`, {
-    method: "POST",
-    headers: { "content-type":"application/json", "authorization": `Bearer ${cfg.key}` },
-    body: JSON.stringify(body)
+// fetch() cannot take a private CA or client certificate without undici, so those calls use node:https
+function tlsFetchJson(url, { method="GET", headers={}, body, signal, tls }) {
+  return new Promise((resolve, reject) => {
+    const req = https.request(url, { method, headers, signal, ...tls }, (r) => {
+      let t = "";
+      r.setEncoding("utf-8");
+      r.on("data", c => { t += c; });
+      r.on("error", reject);
+      r.on("end", () => {
+        let j = null;
+        try { j = JSON.parse(t); } catch { j = null; }
+        resolve({ ok: r.statusCode >= 200 && r.statusCode < 300, status: r.statusCode, text: t, json: j, headers: { get: (k) => r.headers[String(k).toLowerCase()] ?? null } });
+      });
+    });
+    req.on("error", reject);
+    req.end(body);
   });
-  if (!r.ok || !r.json) {
-    throw new Error(`AI request failed (${r.status}). ${r.text.slice(0,300)}`);
-  }
-  return r.json;
 }
 
-/* ---------------- Maximo helpers ---------------- */
-function normMaximoBase(u) {
-  let s = String(u||"").trim().replace(/\/$/,"");
-  if (!s) return "";
-  if (!/\/maximo$/.test(s)) s = `${s}/maximo`;
-  return s;
+/* ---------------- Trace store ---------------- */
+// Bounded log of outbound AI / MCP / Maximo calls, correlated by the incoming request id.
+const TRACE_BODY_CHARS = 4000;
+const TRACE_FILE_MAX_BYTES = 10_000_000;
+const SECRET_HEADERS = new Set(["authorization","apikey","api-key","x-api-key","maxauth","cookie","set-cookie","x-mcp-signature"]);
+const traceContext = new AsyncLocalStorage();
+const traces = [];
+let traceFileBytes = 0;
+let traceWrites = Promise.resolve();
+
+function currentRequestId() {
+  return traceContext.getStore()?.requestId || "";
 }
-function maximoApiBase(u) {
-  const b = normMaximoBase(u);
-  return b ? b.replace(/\/maximo$/, "/maximo/api") : "";
+
+function redactHeaders(h) {
+  const out = {};
+  for (const [k, v] of Object.entries(h || {})) out[k] = SECRET_HEADERS.has(k.toLowerCase()) ? "***" : v;
+  return out;
 }
-function normalizeOrderBy(orderBy) {
-  const s = String(orderBy||"").trim();
-  if (!s) return "";
-  if (s.startsWith("+") || s.startsWith("-")) return s;
-  const m = s.match(/^([a-zA-Z0-9_\.]+)\s+(asc|desc)$/i);
-  if (m) return (m[2].toLowerCase()==="desc" ? `-${m[1]}` : `+${m[1]}`);
-  return `+${s}`;
+
+function truncateBody(b) {
+  if (b == null || b === "") return "";
+  const t = typeof b === "string" ? b : JSON.stringify(b);
+  return t.length > TRACE_BODY_CHARS ? `${t.slice(0, TRACE_BODY_CHARS)}… [${t.length} chars]` : t;
 }
 
-/* ---------------- HTTP routing ---------------- */
-async function serveStatic(req, res) {
-  const u = new URL(req.url, `http://${req.headers.host}`);
-  let p = u.pathname === "/" ? "/index.html" : u.pathname;
-  p = p.replace(/\.\./g, ""); // basic traversal guard
-  const fp = path.join(PUBLIC_DIR, p);
+function recordTrace(entry) {
+  const e = { id: crypto.randomUUID(), ts: new Date().toISOString(), requestId: currentRequestId(), user: currentUser(), ...entry };
+  traces.push(e);
+  observeTrace(e);
+  if (traces.length > TRACE_MAX) traces.splice(0, traces.length - TRACE_MAX);
+  if (TRACE_PERSIST) persistTrace(e);
+  return e;
+}
+
+// JSON lines on the PVC; once the file grows too large it is rewritten with the in-memory window.
+function persistTrace(e) {
+  const line = JSON.stringify(e) + "\n";
+  traceWrites = traceWrites.then(async () => {
+    if (traceFileBytes + line.length > TRACE_FILE_MAX_BYTES) {
+      const all = traces.map(t => JSON.stringify(t) + "\n").join("");
+      await writeFile(TRACE_FILE, all, "utf-8");
+      traceFileBytes = Buffer.byteLength(all);
+    } else {
+      await appendFile(TRACE_FILE, line, "utf-8");
+      traceFileBytes += Buffer.byteLength(line);
+    }
+  }).catch(err => console.error(`trace persist failed: ${err?.message || err}`));
+}
+
+async function loadPersistedTraces() {
+  if (!TRACE_PERSIST) return;
   try {
-    const st = await stat(fp);
-    if (!st.isFile()) throw new Error("not file");
-    const buf = await readFile(fp);
-    const ext = path.extname(fp).toLowerCase();
-    const ctype = ext===".html" ? "text/html; charset=utf-8"
-      : ext===".js" ? "application/javascript; charset=utf-8"
-      : ext===".css" ? "text/css; charset=utf-8"
-      : ext===".svg" ? "image/svg+xml"
-      : "application/octet-stream";
-    res.writeHead(200, { "content-type": ctype, "content-length": buf.length });
-    res.end(buf);
-  } catch {
-    // SPA fallback to index.html
-    try {
-      const buf = await readFile(path.join(PUBLIC_DIR, "index.html"));
-      res.writeHead(200, { "content-type":"text/html; charset=utf-8", "content-length": buf.length });
-      res.end(buf);
-    } catch {
-      text(res, 500, "UI not present in image.");
+    const raw = await readFile(TRACE_FILE, "utf-8");
+    traceFileBytes = Buffer.byteLength(raw);
+    for (const line of raw.split("\n").filter(Boolean).slice(-TRACE_MAX)) {
+      try { traces.push(JSON.parse(line)); } catch {}
     }
-  }
+  } catch {}
 }
 
-const server = http.createServer(async (req, res) => {
+async function tracedFetchJson(kind, url, options={}, meta={}) {
+  const started = Date.now();
+  const base = { kind, method: options.method || "GET", url, meta, request:{ headers: redactHeaders(options.headers), body: truncateBody(options.body) } };
   try {
-    const u = new URL(req.url, `http://${req.headers.host}`);
+    const r = await fetchJson(url, options);
+    recordTrace({ ...base, status: r.status, ok: r.ok, durationMs: Date.now()-started, response:{ body: truncateBody(r.text) } });
+    return r;
+  } catch (e) {
+    recordTrace({ ...base, status: 0, ok: false, durationMs: Date.now()-started, error: String(e?.message || e) });
+    throw e;
+  }
+}
 
-    // Health
-    if (req.method==="GET" && u.pathname==="/healthz") return text(res, 200, "ok");
+function traceSummary(t) {
+  return { id: t.id, ts: t.ts, requestId: t.requestId, user: t.user, kind: t.kind, method: t.method, url: t.url, status: t.status, ok: t.ok, durationMs: t.durationMs, meta: t.meta, error: t.error };
+}
 
-    // Settings
-    if (req.method==="POST" && u.pathname==="/api/settings/load") {
-      const s = await effectiveSettings();
-      return json(res, 200, { settings: s });
-    }
-    if (req.method==="POST" && u.pathname==="/api/settings") {
-      const body = await readBody(req);
-      const parsed = body ? JSON.parse(body) : {};
-      const next = await saveSettingsFromUI(parsed.payload ?? parsed ?? {});
-      return json(res, 200, { ok:true, settings: next });
-    }
-    if (req.method==="POST" && u.pathname==="/api/models") {
-      const body = await readBody(req);
-      const parsed = body ? JSON.parse(body) : {};
-      const provider = String(parsed.provider||"openai").toLowerCase();
-      const s = await effectiveSettings();
-      const cfg = providerConfig(provider, s);
+// Only calls for the caller's tenants; non-admins also only their own (traces carry prompts and Maximo data)
+function traceVisible(t, access=currentAccess()) {
+  if (t.meta?.tenant && !tenantAllowed(t.meta.tenant, access)) return false;
+  return hasRole(access, "admin") || (!!t.user && t.user === access.user);
+}
 
-      // Use curated if missing key or models fetch fails
-      const curated = {
-        openai: ["gpt-4o-mini","gpt-4o","gpt-4.1-mini","gpt-4.1"],
-        mistral: ["mistral-large-latest","mistral-small-latest","open-mistral-nemo"],
-        deepseek: ["deepseek-chat","deepseek-reasoner"]
-      };
+function filterTraces(q) {
+  const kind = q.get("kind") || "";
+  const status = q.get("status") || ""; // ok | error | <http code>
+  const requestId = q.get("requestId") || "";
+  const text = (q.get("q") || "").toLowerCase();
+  const limit = Math.min(Math.max(Number(q.get("limit")) || 200, 1), TRACE_MAX);
+  return traces.filter(t =>
+    traceVisible(t) &&
+    (!kind || t.kind === kind) &&
+    (!requestId || t.requestId === requestId) &&
+    (!status || (status === "ok" ? t.ok : status === "error" ? !t.ok : String(t.status) === status)) &&
+    (!text || `${t.url} ${JSON.stringify(t.meta||{})} ${t.error||""}`.toLowerCase().includes(text))
+  ).slice(-limit).reverse().map(traceSummary);
+}
 
-      if (!cfg.key) return json(res, 200, { models: curated[provider]||curated.openai, warning:"missing_api_key" });
+/* ---------------- Readiness ---------------- */
+// /readyz and Settings → Test connection probe what a chat turn needs: each configured AI provider's models
+// listing and the MCP server's /mcp/tools. Every Maximo read goes through the MCP server, so the tenant checks
+// are the MCP server's own /readyz, relayed. /readyz answers 503 until all checks pass and leaves out URLs and
+// details; it reuses the last run for READYZ_CACHE_SECONDS.
+const READY_TIMEOUT_MS = Math.max(Number(process.env.READYZ_TIMEOUT_MS) || 5000, 500);
+const READY_CACHE_MS = Math.max(Number(process.env.READYZ_CACHE_SECONDS ?? 10) || 0, 0) * 1000;
+const READY_FIXES = {
+  ai: {
+    html: "The provider base URL is wrong (README Troubleshooting): reset it in the secret, e.g. OPENAI_BASE=https://api.openai.com or MISTRAL_BASE=https://api.mistral.ai.",
+    auth: "Check the provider API key in the secret; it may be missing, revoked or issued for another endpoint."
+  },
+  mcp: {
+    html: "The MCP URL points at the app or a route instead of the MCP server: use the internal service URL http://mcp-server:8081.",
+    auth: "MCP_SERVICE_KEY must match an entry of MCP_SERVICE_KEYS on the MCP server."
+  }
+};
+let readyLast = null; // { at, promise }
 
-      const r = await fetchJson(`${cfg.base}/v1/models`, { headers: { authorization: `Bearer ${cfg.key}` } });
-      if (!r.ok || !r.json) return json(res, 200, { models: curated[provider]||curated.openai, warning:`models_failed_${r.status}` });
+// Untraced on purpose: monitoring polls /readyz and would crowd the trace page
+async function probe(check, url, options, fixes, validate=() => null) {
+  const started = Date.now();
+  let r = null, err = null;
+  try { r = await fetchJson(url, { ...options, signal: AbortSignal.timeout(READY_TIMEOUT_MS) }); }
+  catch (e) { err = e; }
+  const problem = probeProblem({ r, err, url }, fixes, READY_TIMEOUT_MS) || validate(r.json);
+  return { ...check, url, ok: !problem, status: r?.status || 0, latencyMs: Date.now()-started, ...(problem || {}) };
+}
 
-      const ids = Array.isArray(r.json.data) ? r.json.data.map(x=>x.id).filter(Boolean) : [];
-      return json(res, 200, { models: ids.length?ids:(curated[provider]||curated.openai) });
-    }
+// Providers with a key (or a base URL when the key is optional), custom providers, the fallback chain and `extra`
+function readyProviders(s, extra) {
+  const ai = s.ai || {};
+  return [...new Set([
+    ...Object.keys(AI_PROVIDERS).filter(p => ai[`${p}_key`] || (AI_PROVIDERS[p].keyOptional && ai[`${p}_base`])),
+    ...(Array.isArray(ai.providers) ? ai.providers.map(p => String(p?.id||"").toLowerCase()) : []),
+    ...(Array.isArray(ai.fallbacks) ? ai.fallbacks.map(f => String(f?.provider||"").toLowerCase()) : []),
+    String(extra||"").toLowerCase()
+  ].filter(Boolean))];
+}
 
-    // Agent chat (AI mode)
-    if (req.method==="POST" && u.pathname==="/api/agent/chat") {
-      const body = await readBody(req);
-      const parsed = body ? JSON.parse(body) : {};
-      const s = await effectiveSettings();
+async function probeProvider(s, id) {
+  const cfg = await providerConfig(id, s);
+  const check = { name:`ai:${id}`, kind:"ai", provider: id, ok:false, status:0, latencyMs:0, url:"" };
+  const problem = providerProblem(cfg);
+  if (problem) return { ...check, ...problem };
+  let headers;
+  try { headers = await providerHeaders(cfg); }
+  catch (e) { return { ...check, url: cfg.iamUrl, error:"unauthorized", detail:`${String(e?.message || e)} Check WATSONX_API_KEY and WATSONX_IAM_URL.` }; }
+  return await probe(check, providerModelsUrl(cfg), { headers:{ accept:"application/json", ...headers } }, READY_FIXES.ai);
+}
 
-      const provider = String(parsed.provider||"openai").toLowerCase();
-      const cfg = providerConfig(provider, s);
-      if (!cfg.key) return json(res, 400, { error:"missing_api_key", detail:`Missing ${provider} API key` });
+// The MCP server probes the tenants with its own credentials; an unreachable server is reported by the mcp check
+async function mcpTenantChecks(mcpUrl) {
+  const url = `${mcpUrl}/readyz?refresh=1`;
+  let r;
+  try { r = await fetchJson(url, { ...mcpRequest("GET", url), signal: AbortSignal.timeout(READY_TIMEOUT_MS * 2) }); }
+  catch { return []; }
+  if (Array.isArray(r.json?.checks)) return r.json.checks.map(c => ({ ...c, via:"mcp" }));
+  return [{ name:"maximo", kind:"maximo", ok:false, status: r.status, latencyMs:0, url, error:"no_tenant_checks",
+    detail:`The MCP server did not report tenant checks (HTTP ${r.status}); it may be older than the app. Redeploy mcp-server.` }];
+}
 
-      const model = String(parsed.model||"").trim();
-      const temperature = parsed.temperature ?? 0.7;
-      const system = String(parsed.system||"").trim();
-      const textIn = String(parsed.text||"").trim();
-      if (!textIn) return json(res, 400, { error:"missing_text" });
+async function runReadiness(provider) {
+  const s = await effectiveSettings();
+  const jobs = readyProviders(s, provider).map(id => probeProvider(s, id));
+  if (!jobs.length) jobs.push({ name:"ai", kind:"ai", ok:false, status:0, latencyMs:0, url:"", error:"no_ai_provider",
+    detail:"No AI provider is configured: set OPENAI_API_KEY (or another provider key) in the secret, or add a custom provider." });
+  const mcpUrl = String(s.mcp?.url || MCP_URL_DEFAULT).trim().replace(/\/$/,"");
+  jobs.push(probe({ name:"mcp", kind:"mcp", ok:false, status:0, latencyMs:0, url:"" }, `${mcpUrl}/mcp/tools`, mcpRequest("GET", `${mcpUrl}/mcp/tools`), READY_FIXES.mcp,
+    j => Array.isArray(j.tools) ? null : { error:"no_tools", detail:"The MCP server answered without a tools list. Check that the MCP URL is the MCP server." }));
+  jobs.push(mcpTenantChecks(mcpUrl));
+  const checks = (await Promise.all(jobs)).flat();
+  return { ready: checks.every(c => c.ok), checkedAt: new Date().toISOString(), checks };
+}
 
-      const messages = [];
-      if (system) messages.push({ role:"system", content: system });
-      messages.push({ role:"user", content: textIn });
+// Concurrent /readyz callers share one run. /readyz answers before sign-in, so the run gets its own access:
+// every tenant's check, but no role beyond viewer (callers only see readyBrief).
+const READINESS_ACCESS = Object.freeze({ user:"", role:"viewer", tenants: Object.freeze(["*"]) });
 
-      const mcpUrl = String(s.mcp?.url || MCP_URL_DEFAULT).trim().replace(/\/$/,"");
-      const enableTools = !!s.mcp?.enableTools;
-      const tenant = String(s.maximo?.defaultTenant || "default");
-
-      let tools = [];
-      if (enableTools && mcpUrl) {
-        const tr = await fetchJson(`${mcpUrl}/mcp/tools?tenant=${encodeURIComponent(tenant)}`, { method:"GET" });
-        const rawTools = (tr.ok && tr.json && Array.isArray(tr.json.tools)) ? tr.json.tools : [];
-        tools = toOpenAITools(rawTools); // defensive conversion ALWAYS
-      }
+async function readiness() {
+  if (!readyLast || Date.now()-readyLast.at >= READY_CACHE_MS) {
+    readyLast = { at: Date.now(), promise: traceContext.run({ requestId: currentRequestId(), user:"", access: READINESS_ACCESS }, () => runReadiness("")) };
+  }
+  return await readyLast.promise;
+}
 
-      const out1 = await openaiCompatChat({ cfg, model, temperature, messages, tools: tools.length?tools:undefined });
-      const msg = out1?.choices?.[0]?.message || {};
-      const toolCalls = Array.isArray(msg.tool_calls) ? msg.tool_calls : [];
+function readyBrief({ name, kind, ok, status, latencyMs, error }) {
+  return { name, kind, ok, status, latencyMs, ...(error ? { error } : {}) };
+}
 
-      if (!toolCalls.length) {
-        return json(res, 200, { reply: String(msg.content||"") });
-      }
+/* ---------------- Metrics ---------------- */
+// Prometheus text format (registry in shared/common.mjs). HTTP requests are counted in the server callback, AI,
+// MCP and Maximo calls from their trace entries, tokens from the usage records. METRICS_TOKEN (optional)
+// makes /metrics require "Authorization: Bearer <token>".
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+const { incCounter, observeHistogram, render: renderMetricFamilies } = metricsRegistry(LATENCY_BUCKETS);
 
-      // Execute tool calls via MCP, then send follow-up
-      const follow = [...messages, msg];
-      for (const tc of toolCalls) {
-        const name = tc?.function?.name;
-        const argsStr = tc?.function?.arguments || "{}";
-        let args={};
-        try { args = JSON.parse(argsStr); } catch { args = { raw: argsStr }; }
-
-        const cr = await fetchJson(`${mcpUrl}/mcp/call`, {
-          method:"POST",
-          headers:{ "content-type":"application/json" },
-          body: JSON.stringify({ name, args, tenant })
-        });
-
-        follow.push({
-          role: "tool",
-          tool_call_id: tc.id,
-          content: cr.json ? JSON.stringify(cr.json) : String(cr.text||"")
-        });
-      }
+function renderMetrics() {
+  return renderMetricFamilies(family => family("mas_app_pending_approvals", "gauge", "Agent runs waiting for a human decision.", [`mas_app_pending_approvals ${pendingActions.size}`]));
+}
+
+// Bounded route label: API paths as they are, ids folded, static files and unmatched paths grouped
+function routeLabel(p, status) {
+  if (status === 404) return "unmatched";
+  if (p.startsWith("/api/trace/") && p !== "/api/trace/clear") return "/api/trace/:id";
+  if (p.startsWith("/dev-oidc/")) return "/dev-oidc";
+  if (p.startsWith("/api/") || p.startsWith("/auth/") || ["/healthz", "/readyz", "/metrics"].includes(p)) return p;
+  return "static";
+}
+
+function observeRequest(req, res, started) {
+  const p = new URL(req.url, "http://x").pathname;
+  const labels = { method: req.method, route: routeLabel(p, res.statusCode) };
+  incCounter("mas_app_http_requests_total", "HTTP requests by route and status.", { ...labels, status: res.statusCode });
+  observeHistogram("mas_app_http_request_duration_seconds", "HTTP request latency (streams until their last event).", labels, (Date.now()-started)/1000);
+}
 
-      const out2 = await openaiCompatChat({ cfg, model, temperature, messages: follow });
-      const finalMsg = out2?.choices?.[0]?.message?.content || "";
-      return json(res, 200, { reply: String(finalMsg) });
+// Called for every trace entry: AI calls, MCP calls and direct Maximo requests
+function observeTrace(e) {
+  const seconds = Number.isFinite(e.durationMs) ? e.durationMs/1000 : null;
+  const status = String(e.status || 0);
+  if (e.kind === "ai") {
+    const labels = { provider: e.meta?.provider || "", model: e.meta?.model || "" };
+    incCounter("mas_app_ai_calls_total", "AI provider calls by provider, model and HTTP status (0 = no response).", { ...labels, status });
+    if (seconds !== null) observeHistogram("mas_app_ai_call_duration_seconds", "AI provider call latency.", labels, seconds);
+  } else if (e.kind === "mcp_call") {
+    const outcome = e.ok ? "ok" : e.status === 0 ? "unreachable" : e.status === 403 ? "denied" : "error";
+    incCounter("mas_app_mcp_tool_calls_total", "MCP tool calls by tool, tenant and outcome.", { tool: e.meta?.tool || "", tenant: e.meta?.tenant || "", outcome });
+    if (seconds !== null) observeHistogram("mas_app_mcp_tool_call_duration_seconds", "MCP tool call latency.", { tool: e.meta?.tool || "" }, seconds);
+  } else if (e.kind === "maximo" && e.meta?.via !== "mcp") {
+    // requests the MCP server made are counted there
+    incCounter("mas_app_maximo_responses_total", "Direct Maximo requests by tenant and HTTP status.", { tenant: e.meta?.tenant || "", status });
+    if (seconds !== null) observeHistogram("mas_app_maximo_request_duration_seconds", "Direct Maximo request latency.", { tenant: e.meta?.tenant || "" }, seconds);
+  }
+}
+
+function observeUsage(r) {
+  const labels = { provider: r.provider, model: r.model || "", tenant: r.tenant || "" };
+  incCounter("mas_app_ai_tokens_total", "AI tokens by provider, model, tenant and type (estimated when the provider sent no usage).", { ...labels, type:"prompt" }, r.promptTokens);
+  incCounter("mas_app_ai_tokens_total", "AI tokens by provider, model, tenant and type (estimated when the provider sent no usage).", { ...labels, type:"completion" }, r.completionTokens);
+}
+
+/* ---------------- Usage accounting ---------------- */
+// One record per AI call: tokens, cost and who asked for which tenant and conversation.
+// Appended as JSON lines on the PVC and kept in memory for the /api/usage aggregates.
+const USAGE_FILE = process.env.USAGE_FILE || path.join(SETTINGS_DIR, "usage.jsonl");
+const USAGE_RETENTION_DAYS = Math.max(Number(process.env.USAGE_RETENTION_DAYS) || 400, 1);
+const USAGE_PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+const USAGE_GROUPS = { tenant:"tenant", provider:"provider", model:"model", user:"user", session:"sessionId", request:"requestId", day:"day", month:"month" };
+const USAGE_METRICS = ["requests","calls","promptTokens","completionTokens","totalTokens","cost","estimatedCalls"];
+const usageRecords = [];
+let usageWrites = Promise.resolve();
+let usagePrunedAt = 0;
+
+function currentUser() {
+  return traceContext.getStore()?.user || "";
+}
+
+function usageCurrency(u) {
+  const c = String(u?.currency||"").trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(c) ? c : "USD";
+}
+
+// Prices per 1M tokens; match is "provider:model", "provider:*" or "*"
+function sanitizeUsagePrices(list) {
+  return (Array.isArray(list) ? list : []).map(p => ({
+    match: String(p?.match||"").trim().toLowerCase(),
+    input: Math.max(Number(p?.input) || 0, 0),
+    output: Math.max(Number(p?.output) || 0, 0)
+  })).filter(p => p.match === "*" || /^[a-z0-9_-]+:\S+$/.test(p.match));
+}
+
+function usagePrice(prices, provider, model) {
+  const list = Array.isArray(prices) ? prices : [];
+  const m = `${provider}:${model}`.toLowerCase();
+  return list.find(p => p.match === m) || list.find(p => p.match === `${String(provider).toLowerCase()}:*`) || list.find(p => p.match === "*") || null;
+}
+
+function roundCost(n) {
+  return Math.round(n * 1e6) / 1e6;
+}
+
+// Cost is fixed when the call is recorded, so later price changes do not rewrite past months. Prices come
+// from the settings the run was started (or resumed) with.
+function recordUsage(run, { provider, model, fallback }, messages, out) {
+  const u = out?.usage || {};
+  const estimated = !(Number(u.prompt_tokens) || Number(u.completion_tokens));
+  const promptTokens = estimated ? messages.reduce((a, m) => a + estimateTokens(m), 0) : Number(u.prompt_tokens) || 0;
+  const completionTokens = estimated ? estimateTokens(out?.choices?.[0]?.message || {}) : Number(u.completion_tokens) || 0;
+  const s = run.settings || {};
+  const price = usagePrice(s.usage?.prices, provider, model);
+  const r = {
+    ts: new Date().toISOString(), requestId: currentRequestId(), user: currentUser(),
+    tenant: run.tenant, provider, model, sessionId: run.session?.id || "",
+    promptTokens, completionTokens, totalTokens: promptTokens + completionTokens,
+    cost: price ? roundCost((promptTokens * price.input + completionTokens * price.output) / 1e6) : 0,
+    currency: usageCurrency(s.usage), priced: !!price, estimated, fallback: !!fallback
+  };
+  usageRecords.push(r);
+  persistUsage(r);
+  observeUsage(r);
+  return r;
+}
+
+function persistUsage(r) {
+  const prune = Date.now() - usagePrunedAt > USAGE_PRUNE_INTERVAL_MS && pruneUsage();
+  const line = JSON.stringify(r) + "\n";
+  usageWrites = usageWrites.then(async () => {
+    if (prune) await writeFile(USAGE_FILE, usageRecords.map(x => JSON.stringify(x) + "\n").join(""), "utf-8");
+    else await appendFile(USAGE_FILE, line, "utf-8");
+  }).catch(err => console.error(`usage persist failed: ${err?.message || err}`));
+}
+
+// Drops records past the retention window; true when any were removed (the file needs a rewrite)
+function pruneUsage() {
+  usagePrunedAt = Date.now();
+  const cutoff = new Date(Date.now() - USAGE_RETENTION_DAYS * 86400000).toISOString();
+  const n = usageRecords.findIndex(r => r.ts >= cutoff);
+  const drop = n < 0 ? usageRecords.length : n;
+  usageRecords.splice(0, drop);
+  return drop > 0;
+}
+
+async function loadUsage() {
+  try {
+    const raw = await readFile(USAGE_FILE, "utf-8");
+    for (const line of raw.split("\n").filter(Boolean)) {
+      try { usageRecords.push(JSON.parse(line)); } catch {}
     }
+  } catch {}
+  if (pruneUsage()) await writeFile(USAGE_FILE, usageRecords.map(x => JSON.stringify(x) + "\n").join(""), "utf-8").catch(() => {});
+}
 
-    // Maximo query (direct)
-    if (req.method==="POST" && u.pathname==="/api/maximo/query") {
-      const body = await readBody(req);
-      const parsed = body ? JSON.parse(body) : {};
-      const s = await effectiveSettings();
+function budgetExceeded(b) {
+  return { error:"budget_exceeded", detail:`Tenant "${b.tenant}" has used ${b.spent} of its ${b.monthly} ${b.currency} AI budget for ${b.month}.`, budget: b };
+}
 
-      const baseUrl = s.maximo?.baseUrl;
-      const apiKey = s.maximo?.apiKey;
-      if (!baseUrl || !apiKey) return json(res, 400, { error:"missing_maximo_config", detail:"Set MAXIMO_URL and MAXIMO_APIKEY as env/secret." });
-
-      const api = maximoApiBase(baseUrl);
-      const os = String(parsed.os || "mxapiasset").trim();
-      const site = String(s.maximo?.defaultSite || "").toUpperCase();
-
-      // simple defaults
-      let where = site ? `siteid="${site}"` : "";
-      let select = "assetnum,description,siteid,location,status,assettype,changedate";
-      let orderBy = "-changedate";
-      let pageSize = "100";
-
-      const params = new URLSearchParams();
-      if (where) params.set("oslc.where", where);
-      if (select) params.set("oslc.select", select);
-      if (orderBy) params.set("oslc.orderBy", normalizeOrderBy(orderBy));
-      if (pageSize) params.set("oslc.pageSize", pageSize);
-
-      const url = `${api}/os/${encodeURIComponent(os)}?${params.toString()}`;
-      const r = await fetchJson(url, { headers: { accept:"application/json", apikey: apiKey }});
-      if (!r.ok || !r.json) return json(res, r.status||500, { error:"maximo_failed", detail:r.text?.slice(0,600), url });
-
-      const member = r.json.member || r.json["rdfs:member"] || [];
-      const rows = Array.isArray(member) ? member : [];
-      const cols = select.split(",").map(x=>x.trim()).filter(Boolean);
-      const data = rows.map(o => Object.fromEntries(cols.map(c => [c, o?.[c] ?? ""])));
-      return json(res, 200, { summary:`Retrieved ${data.length} row(s) from Maximo.`, table:{ title:`Results · ${os}`, columns: cols, rows: data }});
+// Month-to-date spend (UTC months) against the tenant budget; null when the tenant has none
+function budgetStatus(s, tenant) {
+  const budget = tenantBudget((s.tenants||[]).find(t => String(t.id) === String(tenant))?.budget);
+  if (!budget) return null;
+  const month = new Date().toISOString().slice(0, 7);
+  const spent = usageRecords.reduce((a, r) => r.tenant === tenant && r.ts.startsWith(month) ? a + (r.cost || 0) : a, 0);
+  return { tenant, month, ...budget, spent: roundCost(spent), currency: usageCurrency(s.usage), exceeded: spent >= budget.monthly };
+}
+
+// from/to accept YYYY-MM-DD (to is inclusive) or full ISO timestamps
+function usageBound(v, end) {
+  const t = String(v||"").trim();
+  if (!t) return "";
+  if (/^\d{4}-\d{2}-\d{2}$/.test(t)) return end ? new Date(Date.parse(t) + 86400000).toISOString() : new Date(Date.parse(t)).toISOString();
+  const d = Date.parse(t);
+  return Number.isFinite(d) ? new Date(d).toISOString() : "";
+}
+
+function queryUsage(q) {
+  const from = usageBound(q.get("from"), false);
+  const to = usageBound(q.get("to"), true);
+  const eq = { tenant: q.get("tenant"), provider: q.get("provider"), model: q.get("model"), user: q.get("user"), sessionId: q.get("sessionId"), requestId: q.get("requestId") };
+  const groupBy = String(q.get("groupBy") || "tenant,provider,model").split(",").map(g => g.trim()).filter(g => USAGE_GROUPS[g]);
+  const records = usageRecords.filter(r => tenantAllowed(r.tenant) &&
+    (!from || r.ts >= from) && (!to || r.ts < to) &&
+    Object.entries(eq).every(([k, v]) => !v || String(r[k]) === v));
+
+  const groups = new Map();
+  const requestSets = new Map();
+  const add = (key, g, r) => {
+    g.calls++;
+    g.promptTokens += r.promptTokens || 0;
+    g.completionTokens += r.completionTokens || 0;
+    g.totalTokens += r.totalTokens || 0;
+    g.cost += r.cost || 0;
+    if (r.estimated) g.estimatedCalls++;
+    const ids = requestSets.get(key) || requestSets.set(key, new Set()).get(key);
+    ids.add(r.requestId);
+    g.requests = ids.size;
+  };
+  const empty = () => ({ requests:0, calls:0, promptTokens:0, completionTokens:0, totalTokens:0, cost:0, estimatedCalls:0 });
+  const totals = empty();
+  for (const r of records) {
+    const keyObj = Object.fromEntries(groupBy.map(g => [g, g === "day" ? r.ts.slice(0, 10) : g === "month" ? r.ts.slice(0, 7) : r[USAGE_GROUPS[g]] || ""]));
+    const key = JSON.stringify(keyObj);
+    if (!groups.has(key)) groups.set(key, { ...keyObj, ...empty() });
+    add(key, groups.get(key), r);
+    add("", totals, r);
+  }
+  const list = [...groups.values()].map(g => ({ ...g, cost: roundCost(g.cost) }))
+    .sort((a, b) => b.cost - a.cost || b.totalTokens - a.totalTokens);
+  return { from, to, groupBy, totals: { ...totals, cost: roundCost(totals.cost) }, groups: list, records: records.length };
+}
+
+function usageCsv(u, currency) {
+  const cols = [...u.groupBy, ...USAGE_METRICS];
+  const lines = [[...cols, "currency"].map(csvCell).join(",")];
+  for (const g of u.groups) lines.push([...cols.map(c => g[c]), currency].map(csvCell).join(","));
+  return lines.join("\r\n") + "\r\n";
+}
+
+async function aiChat({ cfg, model, temperature, messages, tools, tenant }) {
+  const problem = providerProblem(cfg);
+  if (problem) throw new Error(`${problem.error}:${cfg.provider}`);
+  const req = await aiRequest(cfg, { model, temperature, messages, tools });
+  const r = await withAiRetries(async (attempt) => {
+    const ctl = new AbortController();
+    const timer = setTimeout(() => ctl.abort(), AI_TIMEOUT_MS);
+    try {
+      const r = await tracedFetchJson("ai", req.url, {
+        method: "POST",
+        headers: req.headers,
+        body: JSON.stringify(req.body),
+        signal: ctl.signal
+      }, { provider: cfg.provider, model: req.body.model || req.body.model_id || model, ...(tenant ? { tenant } : {}), ...(attempt ? { attempt } : {}) });
+      if (!r.ok || !r.json) throw aiHttpError(r.status, r.text, r.headers);
+      return r;
+    } catch (e) {
+      throw e.status !== undefined ? e : aiNetworkError(e);
+    } finally {
+      clearTimeout(timer);
     }
+  });
+  return aiResponse(cfg, r.json, req.names);
+}
 
-    // Static UI
-    if (req.method==="GET") return await serveStatic(req, res);
+// Streaming variant: reports content deltas through onDelta and reassembles the same
+// { choices:[{ message }] } shape as the non-streaming call. Anthropic sends typed events;
+// OpenAI, Azure and watsonx send OpenAI-style chunks.
+async function aiChatStream({ cfg, model, temperature, messages, tools, tenant, onDelta }) {
+  const problem = providerProblem(cfg);
+  if (problem) throw new Error(`${problem.error}:${cfg.provider}`);
+  const req = await aiRequest(cfg, { model, temperature, messages, tools, stream:true });
+  const { url, headers, body } = req;
+  let started = Date.now();
+  const traceBase = { kind:"ai", method:"POST", url, meta:{ provider: cfg.provider, model: body.model || body.model_id || model, ...(tenant ? { tenant } : {}), stream:true }, request:{ headers: redactHeaders(headers), body: truncateBody(body) } };
+  // the timeout covers the wait for headers and then each gap between chunks
+  let ctl = null, timer = null;
+  const arm = () => { clearTimeout(timer); timer = setTimeout(() => ctl.abort(), AI_TIMEOUT_MS); };
+  const r = await withAiRetries(async (attempt) => {
+    started = Date.now();
+    ctl = new AbortController();
+    const meta = { ...traceBase.meta, ...(attempt ? { attempt } : {}) };
+    arm();
+    let r;
+    try {
+      r = await fetch(url, { method: "POST", headers, body: JSON.stringify(body), signal: ctl.signal });
+    } catch (e) {
+      clearTimeout(timer);
+      const err = aiNetworkError(e);
+      recordTrace({ ...traceBase, meta, status:0, ok:false, durationMs: Date.now()-started, error: err.message });
+      throw err;
+    }
+    if (!r.ok || !r.body) {
+      clearTimeout(timer);
+      const t = await r.text().catch(() => "");
+      recordTrace({ ...traceBase, meta, status:r.status, ok:false, durationMs: Date.now()-started, response:{ body: truncateBody(t) } });
+      throw aiHttpError(r.status, t, r.headers);
+    }
+    return r;
+  });
 
-    return text(res, 404, "Not Found");
+  const msg = { role:"assistant", content:"" };
+  const calls = [];
+  let usage = null;
+  const decoder = new TextDecoder();
+  let buf = "";
+  const addText = (t) => {
+    if (typeof t !== "string" || !t) return;
+    msg.content += t;
+    onDelta?.(t);
+  };
+  const onOpenAI = (j) => {
+    if (j.usage) usage = j.usage;
+    const delta = j?.choices?.[0]?.delta || {};
+    addText(delta.content);
+    for (const tc of Array.isArray(delta.tool_calls) ? delta.tool_calls : []) {
+      const i = Number.isInteger(tc.index) ? tc.index : calls.length;
+      const cur = calls[i] || (calls[i] = { id:"", type:"function", function:{ name:"", arguments:"" } });
+      if (tc.id) cur.id = tc.id;
+      if (tc.function?.name) cur.function.name += tc.function.name;
+      if (tc.function?.arguments) cur.function.arguments += tc.function.arguments;
+    }
+  };
+  const anthropicUsage = { input:0, output:0 };
+  const onAnthropic = (j) => {
+    if (j.type === "message_start") anthropicUsage.input = j.message?.usage?.input_tokens || 0;
+    else if (j.type === "message_delta") anthropicUsage.output = j.usage?.output_tokens || anthropicUsage.output;
+    else if (j.type === "content_block_start" && j.content_block?.type === "tool_use") {
+      calls[j.index] = { id: j.content_block.id, type:"function", function:{ name: j.content_block.name, arguments:"" } };
+    } else if (j.type === "content_block_delta") {
+      if (j.delta?.type === "text_delta") addText(j.delta.text);
+      else if (j.delta?.type === "input_json_delta" && calls[j.index]) calls[j.index].function.arguments += j.delta.partial_json || "";
+    } else if (j.type === "error") throw new Error(`AI stream error: ${j.error?.message || "unknown"}`);
+  };
+  const onData = (data) => {
+    if (data === "[DONE]") return;
+    let j = null;
+    try { j = JSON.parse(data); } catch { return; }
+    if (cfg.kind === "anthropic") onAnthropic(j); else onOpenAI(j);
+  };
+  try {
+    for await (const chunk of r.body) {
+      arm();
+      buf += decoder.decode(chunk, { stream:true });
+      let nl;
+      while ((nl = buf.indexOf("\n")) >= 0) {
+        const line = buf.slice(0, nl).replace(/\r$/, "");
+        buf = buf.slice(nl+1);
+        if (line.startsWith("data:")) onData(line.slice(5).trim());
+      }
+    }
   } catch (e) {
-    return json(res, 500, { error:"server_error", detail: String(e?.message || e) });
+    // broken mid-stream: not retried here (text was already forwarded); the fallback chain decides
+    const err = ctl.signal.aborted ? aiNetworkError(e)
+      : e.status !== undefined ? e : Object.assign(new Error(`AI stream interrupted: ${e?.message || e}`), { status:0 });
+    err.partial = !!(msg.content || calls.length);
+    recordTrace({ ...traceBase, status:r.status, ok:false, durationMs: Date.now()-started, error: err.message, response:{ body: truncateBody({ message: msg }) } });
+    throw err;
+  } finally {
+    clearTimeout(timer);
   }
-});
+  if (buf.startsWith("data:")) onData(buf.slice(5).trim());
+  if (cfg.kind === "anthropic") usage = { prompt_tokens: anthropicUsage.input, completion_tokens: anthropicUsage.output, total_tokens: anthropicUsage.input + anthropicUsage.output };
 
-server.listen(PORT, () => {
-  console.log(`AI Agent listening on ${PORT}`);
-  console.log(`SETTINGS_FILE=${SETTINGS_FILE}`);
-});
+  const toolCalls = calls.filter(Boolean).map(c => ({ ...c, function:{ name: req.names.get(c.function.name) || c.function.name, arguments: c.function.arguments || "{}" } }));
+  if (toolCalls.length) msg.tool_calls = toolCalls;
+  recordTrace({ ...traceBase, status:r.status, ok:true, durationMs: Date.now()-started, response:{ body: truncateBody({ message: msg, usage }) } });
+  return { choices:[{ message: msg }], usage };
+}
+
+/* ---------------- AI retries and fallback ---------------- */
+const AI_TIMEOUT_MS = Math.max(Number(process.env.AI_TIMEOUT_MS) || 60000, 1000);
+const AI_RETRIES = Math.max(Number(process.env.AI_RETRIES ?? 2) || 0, 0);
+const AI_RETRY_BASE_MS = 500;
+const AI_RETRY_MAX_WAIT_MS = Math.max(Number(process.env.AI_RETRY_MAX_WAIT_MS) || 20000, 0);
+const AI_RETRYABLE_STATUS = new Set([408, 409, 429, 500, 502, 503, 504, 529]);
+
+function aiHttpError(status, text, headers) {
+  return Object.assign(new Error(`AI request failed (${status}). ${String(text||"").slice(0,300)}`), { status, retryAfterMs: retryAfterMs(headers) });
+}
+
+// status 0 = no HTTP answer (network error or our timeout)
+function aiNetworkError(e) {
+  const timedOut = e?.name === "AbortError";
+  return Object.assign(new Error(timedOut ? `AI request timed out after ${AI_TIMEOUT_MS} ms` : `AI request failed: ${e?.message || e}`), { status:0, timedOut });
+}
+
+// Retry-After (seconds or HTTP date) or Azure/OpenAI's retry-after-ms; null when absent
+function retryAfterMs(headers) {
+  const ms = Number(headers?.get?.("retry-after-ms"));
+  if (ms > 0) return ms;
+  const v = headers?.get?.("retry-after");
+  if (!v) return null;
+  const secs = Number(v);
+  if (Number.isFinite(secs)) return Math.max(secs, 0) * 1000;
+  const at = Date.parse(v);
+  return Number.isFinite(at) ? Math.max(at - Date.now(), 0) : null;
+}
+
+// Exponential backoff with jitter for 429/5xx/timeouts. A Retry-After longer than
+// AI_RETRY_MAX_WAIT_MS is not waited out: the error goes to the fallback chain instead.
+async function withAiRetries(fn) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      const retryable = e.status === 0 || AI_RETRYABLE_STATUS.has(e.status);
+      if (!retryable || attempt >= AI_RETRIES) throw e;
+      const wait = e.retryAfterMs ?? Math.min(AI_RETRY_BASE_MS * 2 ** attempt, 8000) + Math.floor(Math.random() * 250);
+      if (wait > AI_RETRY_MAX_WAIT_MS) throw e;
+      await new Promise(r => setTimeout(r, wait));
+    }
+  }
+}
+
+// Ordered provider/model pairs tried after the chosen one ("azure:gpt-4o, ollama:llama3.1:8b" in env)
+function parseFallbacks(v) {
+  const list = Array.isArray(v) ? v : String(v||"").split(",").map(x => {
+    const i = x.indexOf(":");
+    return i < 0 ? { provider: x } : { provider: x.slice(0, i), model: x.slice(i+1) };
+  });
+  return list.map(f => ({ provider: String(f?.provider||"").trim().toLowerCase(), model: String(f?.model||"").trim() })).filter(f => f.provider).slice(0, 5);
+}
+
+/* ---------------- Agent loop ---------------- */
+const AGENT_MAX_STEPS_DEFAULT = 6;
+const AGENT_MAX_STEPS_LIMIT = 20;
+const AGENT_MAX_TOOL_ERROR_ROUNDS = 2;
+
+function agentMaxSteps(v) {
+  const n = Math.floor(Number(v));
+  if (!Number.isFinite(n) || n < 1) return AGENT_MAX_STEPS_DEFAULT;
+  return Math.min(n, AGENT_MAX_STEPS_LIMIT);
+}
+
+function parseToolArgs(argsStr) {
+  try { return JSON.parse(argsStr || "{}"); } catch { return { raw: argsStr }; }
+}
+
+/* ---------------- MCP service authentication ---------------- */
+// MCP_SERVICE_KEY="id:secret" signs every call to the MCP server (MCP_AUTH=hmac, default) or goes along as a
+// bearer token (MCP_AUTH=bearer). The signature covers method, path, body, the signed-in user and their
+// tenants, so the MCP server can trust x-agent-user / x-agent-tenants. MCP_TLS_CA / MCP_TLS_CERT / MCP_TLS_KEY
+// (file paths) add a private CA and a client certificate for https MCP URLs (mTLS).
+const MCP_SERVICE_KEY = (() => {
+  const v = String(process.env.MCP_SERVICE_KEY||"");
+  const i = v.indexOf(":");
+  return i > 0 ? { id: v.slice(0, i), secret: v.slice(i+1) } : null;
+})();
+const MCP_AUTH = String(process.env.MCP_AUTH||"hmac").toLowerCase() === "bearer" ? "bearer" : "hmac";
+const MCP_TLS = process.env.MCP_TLS_CA || process.env.MCP_TLS_CERT ? {
+  ...(process.env.MCP_TLS_CA ? { ca: readFileSync(process.env.MCP_TLS_CA) } : {}),
+  ...(process.env.MCP_TLS_CERT && process.env.MCP_TLS_KEY ? { cert: readFileSync(process.env.MCP_TLS_CERT), key: readFileSync(process.env.MCP_TLS_KEY) } : {})
+} : null;
+
+function mcpAuthHeaders(method, url, body, user, tenants) {
+  if (!MCP_SERVICE_KEY) return {};
+  if (MCP_AUTH === "bearer") return { authorization: `Bearer ${MCP_SERVICE_KEY.secret}` };
+  const u = new URL(url);
+  const ts = String(Math.floor(Date.now()/1000));
+  const nonce = crypto.randomBytes(16).toString("hex");
+  const signed = [method, u.pathname + u.search, ts, nonce, crypto.createHash("sha256").update(body||"").digest("hex"), user, tenants].join("\n");
+  return {
+    "x-mcp-key-id": MCP_SERVICE_KEY.id, "x-mcp-timestamp": ts, "x-mcp-nonce": nonce,
+    "x-mcp-signature": crypto.createHmac("sha256", MCP_SERVICE_KEY.secret).update(signed).digest("hex")
+  };
+}
+
+// Request options for a call to the MCP server on behalf of the current user
+function mcpRequest(method, url, body="") {
+  const user = currentUser();
+  const tenants = currentAccess().tenants.join(",");
+  const headers = {
+    ...(body ? { "content-type":"application/json" } : {}),
+    "x-request-id": currentRequestId(), "x-agent-user": user, "x-agent-tenants": tenants,
+    ...mcpAuthHeaders(method, url, body, user, tenants)
+  };
+  return { method, headers, ...(body ? { body } : {}), ...(MCP_TLS ? { tls: MCP_TLS } : {}) };
+}
+
+// Traced call to the MCP server on behalf of the current user
+async function mcpFetchJson(kind, url, { method="GET", body="" }, meta) {
+  return await tracedFetchJson(kind, url, mcpRequest(method, url, body), meta);
+}
+
+// context ({ sessionId, prompt }) goes into the MCP server's audit log
+async function callMcpTool({ mcpUrl, tenant, name, args, dryRun, context }) {
+  const started = Date.now();
+  if (!tenantAllowed(tenant)) return { ok:false, status:403, result: tenantForbidden(tenant), durationMs:0 };
+  try {
+    const r = await mcpFetchJson("mcp_call", `${mcpUrl}/mcp/call`, {
+      method:"POST",
+      body: JSON.stringify({ name, args, tenant, ...(dryRun ? { dryRun:true } : {}), ...(context ? { context } : {}) })
+    }, { tool: name, tenant, dryRun: !!dryRun });
+    // the Maximo request the MCP server made on our behalf
+    const mt = r.json?.trace?.request;
+    if (mt) recordTrace({ kind:"maximo", method: mt.method, url: mt.url, status: r.status, ok: r.ok, durationMs: null,
+      meta:{ via:"mcp", tool: name, tenant }, request:{ headers: redactHeaders(mt.headers), body: truncateBody(mt.body) } });
+    return { ok: r.ok, status: r.status, result: r.json ?? String(r.text||""), durationMs: Date.now()-started };
+  } catch (e) {
+    return { ok:false, status:0, result:{ error:"mcp_unreachable", detail:String(e?.message||e) }, durationMs: Date.now()-started };
+  }
+}
+
+// Non-streaming runs have no emit; streaming runs forward deltas and tool progress as SSE events.
+// Walks the fallback chain from the entry that answered last (run.route), so a run stays on the
+// fallback once the chosen provider has failed; run.answeredBy says who produced the reply.
+async function agentChat(cfg, run, tools) {
+  const chain = [{ provider: run.provider, model: run.model }, ...(run.fallbacks||[])];
+  run.aiErrors = run.aiErrors || [];
+  let lastError = null;
+  for (let i = run.route || 0; i < chain.length; i++) {
+    const entry = chain[i];
+    const c = i === 0 ? cfg : await providerConfig(entry.provider, run.settings || await effectiveSettings());
+    const problem = providerProblem(c);
+    if (problem) { run.aiErrors.push({ ...entry, error: problem.error }); continue; }
+    if (lastError) run.emit?.("fallback", { provider: entry.provider, model: entry.model, reason: lastError.message, partial: !!lastError.partial });
+
+    const args = { cfg: c, model: entry.model, temperature: run.temperature, messages: run.convo, tools, tenant: run.tenant };
+    let out;
+    try {
+      out = !run.emit ? await aiChat(args) : await aiChatStream({ ...args, onDelta: (content) => run.emit("delta", { content }) });
+    } catch (e) {
+      lastError = e;
+      run.aiErrors.push({ ...entry, status: e.status ?? null, error: String(e?.message||e).slice(0, 300) });
+      continue;
+    }
+    // outside the try: a bookkeeping failure must not send an answered call down the fallback chain
+    run.route = i;
+    run.answeredBy = { provider: entry.provider, model: entry.model || c.models?.[0] || "", fallback: i > 0, ...(run.aiErrors.length ? { errors: run.aiErrors } : {}) };
+    recordUsage(run, run.answeredBy, run.convo, out);
+    return out;
+  }
+  throw lastError || new Error("No usable AI provider in the fallback chain.");
+}
+
+function runContext(run) {
+  return { sessionId: run.session?.id || "", prompt: run.prompt || "" };
+}
+
+async function runToolCall(run, c) {
+  run.emit?.("tool_call_started", { step: run.round, id: c.id, name: c.name, args: c.args });
+  const r = await callMcpTool({ mcpUrl: run.mcpUrl, tenant: run.tenant, name: c.name, args: c.args, context: runContext(run) });
+  // query results can be downloaded over all pages from the chat (see /api/export); aggregates come with a chart
+  const exp = r.ok && c.name === "maximo.queryOS" && c.args?.os ? { export: encodeToolExport(run.tenant, c.args, run.session?.id) } : {};
+  const viz = r.ok && r.result?.visualization ? { visualization: r.result.visualization } : {};
+  run.emit?.("tool_call_finished", { step: run.round, id: c.id, name: c.name, ok: r.ok, status: r.status, durationMs: r.durationMs, ...exp, ...viz });
+  return { id: c.id, name: c.name, args: c.args, ...r, ...exp, ...viz };
+}
+
+function pushToolResults(run, results) {
+  for (const r of results) {
+    run.convo.push({
+      role: "tool",
+      tool_call_id: r.id,
+      content: typeof r.result === "string" ? r.result : JSON.stringify(r.result)
+    });
+  }
+}
+
+/* ---------------- Approval queue ---------------- */
+// Agent runs parked on mutating tool calls, waiting for a human decision (in memory, per pod).
+const PENDING_TTL_MS = 30 * 60 * 1000;
+const PENDING_MAX = 200;
+const pendingActions = new Map();
+
+function prunePendingActions() {
+  const now = Date.now();
+  for (const [id, p] of pendingActions) {
+    if (now - p.createdAt > PENDING_TTL_MS) pendingActions.delete(id);
+  }
+  while (pendingActions.size >= PENDING_MAX) pendingActions.delete(pendingActions.keys().next().value);
+}
+
+function parkAgentRun(run, calls) {
+  prunePendingActions();
+  const id = crypto.randomUUID();
+  delete run.emit; // the stream that parked the run is closed once the decision arrives
+  pendingActions.set(id, { id, createdAt: Date.now(), run, calls });
+  return {
+    id,
+    calls: calls.map(c => ({ toolCallId: c.id, name: c.name, args: c.args, diff: c.preview?.diff || [], preview: c.preview }))
+  };
+}
+
+/**
+ * Multi-round tool calling: the model may chain tools (listOS -> queryOS -> refine)
+ * until it answers without tool_calls, the step budget runs out, or tools keep failing.
+ * Tool calls of one round are independent by construction and run in parallel.
+ * Failed calls are fed back to the model so it can correct itself.
+ * Mutating tools are not executed: the run is parked and returned as awaiting_approval.
+ */
+async function runAgentLoop(cfg, run) {
+  const useTools = Array.isArray(run.tools) && run.tools.length ? run.tools : undefined;
+  let stopReason = "";
+
+  while (run.round < run.maxSteps) {
+    run.round++;
+    const out = await agentChat(cfg, run, useTools);
+    const msg = out?.choices?.[0]?.message || {};
+    const toolCalls = Array.isArray(msg.tool_calls) ? msg.tool_calls : [];
+
+    if (!toolCalls.length) {
+      run.convo.push({ role:"assistant", content: String(msg.content||"") });
+      run.steps.push({ step: run.round, type:"answer", content: String(msg.content||"") });
+      return { reply: String(msg.content||""), stopReason:"completed", steps: run.steps };
+    }
+
+    run.convo.push(msg);
+    const calls = toolCalls.map(tc => ({ id: tc.id, name: String(tc?.function?.name || ""), args: parseToolArgs(tc?.function?.arguments) }));
+    const direct = calls.filter(c => !run.mutating.includes(c.name));
+    const parked = calls.filter(c => run.mutating.includes(c.name));
+
+    const results = await Promise.all(direct.map(c => runToolCall(run, c)));
+    pushToolResults(run, results);
+
+    if (parked.length) {
+      for (const c of parked) {
+        const p = await callMcpTool({ mcpUrl: run.mcpUrl, tenant: run.tenant, name: c.name, args: c.args, dryRun: true, context: runContext(run) });
+        c.preview = p.result;
+      }
+      const pendingAction = parkAgentRun(run, parked);
+      run.steps.push({ step: run.round, type:"tools", content: String(msg.content||""), toolCalls: results, pendingActionId: pendingAction.id });
+      return { reply: String(msg.content||""), stopReason:"awaiting_approval", steps: run.steps, pendingAction };
+    }
+    run.steps.push({ step: run.round, type:"tools", content: String(msg.content||""), toolCalls: results });
+
+    run.errorRounds = results.every(r => !r.ok) ? run.errorRounds+1 : 0;
+    if (run.errorRounds >= AGENT_MAX_TOOL_ERROR_ROUNDS) { stopReason = "tool_error"; break; }
+  }
+  if (!stopReason) stopReason = "max_steps";
+
+  // Budget exhausted or tools keep failing: ask for a final answer without tools
+  const out = await agentChat(cfg, run);
+  const reply = String(out?.choices?.[0]?.message?.content || "");
+  run.convo.push({ role:"assistant", content: reply });
+  run.steps.push({ step: run.round+1, type:"answer", content: reply });
+  return { reply, stopReason, steps: run.steps };
+}
+
+// Apply a human decision to a parked run and continue the agent loop.
+async function resumeAgentRun(cfg, pending, { approve, reason }) {
+  const { run, calls } = pending;
+  const results = approve
+    ? await Promise.all(calls.map(c => runToolCall(run, c)))
+    : calls.map(c => ({ id: c.id, name: c.name, args: c.args, ok:false, status:0, durationMs:0,
+        result:{ error:"rejected_by_user", detail: reason || "The user rejected this change. Do not retry it unless asked." } }));
+  pushToolResults(run, results);
+  run.steps.push({ step: run.round, type:"approval", decision: approve ? "approved" : "rejected", toolCalls: results });
+  return await runAgentLoop(cfg, run);
+}
+
+// Validate a chat request and build the initial agent run (shared by JSON and SSE endpoints).
+async function prepareAgentRun(parsed) {
+  const s = await effectiveSettings();
+
+  const provider = String(parsed.provider||"openai").toLowerCase();
+  const cfg = await providerConfig(provider, s);
+  const problem = providerProblem(cfg);
+  if (problem) return problem;
+
+  const model = String(parsed.model||"").trim();
+  const temperature = parsed.temperature ?? 0.7;
+  const system = String(parsed.system||"").trim();
+  const textIn = String(parsed.text||"").trim();
+  if (!textIn) return { error:"missing_text" };
+
+  const conv = parsed.sessionId ? await loadConversation(parsed.sessionId) : null;
+  if (parsed.sessionId && !(conv && conversationVisible(conv))) return { error:"session_not_found", detail:"Unknown conversation id." };
+  const session = conv || newConversation(textIn);
+  dropPendingForSession(session.id); // a new message supersedes an unanswered approval
+
+  const messages = [];
+  if (system) messages.push({ role:"system", content: system });
+  messages.push(...historyWindow(sanitizeHistory(session.messages), agentHistoryTokens(s.agent?.historyTokens)));
+  messages.push({ role:"user", content: textIn });
+
+  const mcpUrl = String(s.mcp?.url || MCP_URL_DEFAULT).trim().replace(/\/$/,"");
+  const enableTools = !!s.mcp?.enableTools;
+  const tenant = String(parsed.tenant || session.tenant || s.maximo?.defaultTenant || "default");
+  if (parsed.tenant && !tenantKnown(s, tenant)) return { error:"unknown_tenant", detail:`Tenant "${tenant}" is not in the tenants registry.` };
+  if (!tenantAllowed(tenant)) return tenantForbidden(tenant);
+  session.tenant = tenant;
+  const budget = budgetStatus(s, tenant);
+  if (budget?.exceeded && budget.mode === "block") return budgetExceeded(budget);
+
+  let tools = [];
+  let mutating = [];
+  if (enableTools && mcpUrl) {
+    const tr = await mcpFetchJson("mcp_tools", `${mcpUrl}/mcp/tools?tenant=${encodeURIComponent(tenant)}`, { method:"GET" }, { tenant });
+    const rawTools = (tr.ok && tr.json && Array.isArray(tr.json.tools)) ? tr.json.tools : [];
+    tools = toOpenAITools(rawTools); // defensive conversion ALWAYS
+    mutating = mutatingToolNames(tr.ok ? tr.json : null);
+  }
+
+  return {
+    cfg,
+    run: {
+      provider, model, temperature, tools, mutating, mcpUrl, tenant, prompt: textIn, settings: s,
+      maxSteps: agentMaxSteps(parsed.maxSteps ?? s.agent?.maxSteps),
+      convo: messages, steps: [], round: 0, errorRounds: 0,
+      session, savedUpTo: messages.length - 1,
+      fallbacks: parseFallbacks(s.ai?.fallbacks).filter(f => !(f.provider === provider && f.model === model))
+    }
+  };
+}
+
+/* ---------------- Conversation sessions ---------------- */
+// One JSON file per conversation; messages keep assistant tool_calls and tool results.
+const HISTORY_TOKENS_DEFAULT = 12000;
+const HISTORY_TOOL_RESULT_CHARS = 1500;
+
+function agentHistoryTokens(v) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) && n >= 500 ? n : HISTORY_TOKENS_DEFAULT;
+}
+
+function conversationFile(id) {
+  const s = String(id||"");
+  if (!/^[a-zA-Z0-9-]{8,64}$/.test(s)) return "";
+  return path.join(CONVERSATIONS_DIR, `${s}.json`);
+}
+
+function newConversation(firstText) {
+  const now = new Date().toISOString();
+  return { id: crypto.randomUUID(), title: String(firstText||"New conversation").slice(0, 60), owner: currentUser(), createdAt: now, updatedAt: now, messages: [] };
+}
+
+function conversationSummary(c) {
+  return { id: c.id, title: c.title, tenant: c.tenant || "", createdAt: c.createdAt, updatedAt: c.updatedAt, messageCount: (c.messages||[]).length };
+}
+
+async function loadConversation(id) {
+  const fp = conversationFile(id);
+  if (!fp) return null;
+  try { return JSON.parse(await readFile(fp, "utf-8")); } catch { return null; }
+}
+
+async function writeConversation(c) {
+  await mkdir(CONVERSATIONS_DIR, { recursive: true });
+  c.updatedAt = new Date().toISOString();
+  await writeFile(conversationFile(c.id), JSON.stringify(c), "utf-8");
+}
+
+async function listConversations() {
+  let files = [];
+  try { files = await readdir(CONVERSATIONS_DIR); } catch { return []; }
+  const out = [];
+  for (const f of files.filter(f => f.endsWith(".json"))) {
+    const c = await loadConversation(f.slice(0, -5));
+    if (c && conversationVisible(c)) out.push(conversationSummary(c));
+  }
+  return out.sort((a,b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+}
+
+// Append the messages this run produced since the last save (runs resumed after approval save again).
+async function saveRunToConversation(run, agent) {
+  const fresh = run.convo.slice(run.savedUpTo);
+  run.savedUpTo = run.convo.length;
+  const cur = (await loadConversation(run.session.id)) || run.session;
+  cur.tenant = run.tenant;
+  cur.messages = [...(cur.messages||[]), ...fresh];
+  await writeConversation(cur);
+  const budget = budgetStatus(await effectiveSettings(), run.tenant);
+  return { ...agent, sessionId: cur.id, ...(run.answeredBy ? { answeredBy: run.answeredBy } : {}), ...(budget?.exceeded ? { budget } : {}) };
+}
+
+function dropPendingForSession(id) {
+  for (const [pid, p] of pendingActions) {
+    if (p.run.session?.id === id) pendingActions.delete(pid);
+  }
+}
+
+// Every assistant tool_call needs a tool answer and every tool message needs its call,
+// otherwise providers reject the history (e.g. a run left waiting for approval).
+function sanitizeHistory(messages) {
+  const list = Array.isArray(messages) ? messages : [];
+  const out = [];
+  for (let i = 0; i < list.length; i++) {
+    const m = list[i];
+    if (m.role === "tool") continue; // orphan
+    out.push(m);
+    if (m.role !== "assistant" || !Array.isArray(m.tool_calls)) continue;
+    const answered = new Set();
+    while (i+1 < list.length && list[i+1].role === "tool") {
+      out.push(list[i+1]);
+      answered.add(list[i+1].tool_call_id);
+      i++;
+    }
+    for (const tc of m.tool_calls) {
+      if (!answered.has(tc.id)) out.push({ role:"tool", tool_call_id: tc.id, content: JSON.stringify({ error:"not_executed", detail:"This call was never approved or executed." }) });
+    }
+  }
+  return out;
+}
+
+function estimateTokens(m) {
+  const n = String(m.content||"").length + (m.tool_calls ? JSON.stringify(m.tool_calls).length : 0);
+  return Math.ceil(n / 4) + 4;
+}
+
+// Keep the most recent turns within the token budget. Older tool results are shortened and
+// turns that no longer fit are replaced by a short note listing what the user asked.
+function historyWindow(messages, budget) {
+  const turns = [];
+  for (const m of messages) {
+    if (m.role === "user" || !turns.length) turns.push([]);
+    turns[turns.length-1].push(m);
+  }
+  const kept = [];
+  let used = 0;
+  const size = (turn) => turn.reduce((a, m) => a + estimateTokens(m), 0);
+  const compact = (turn) => turn.map(m =>
+    m.role === "tool" && String(m.content||"").length > HISTORY_TOOL_RESULT_CHARS
+      ? { ...m, content: `${String(m.content).slice(0, HISTORY_TOOL_RESULT_CHARS)}… [truncated]` }
+      : m);
+  for (let i = turns.length-1; i >= 0; i--) {
+    // the latest turn keeps full tool results when they fit
+    const turn = i === turns.length-1 && size(turns[i]) <= budget ? turns[i] : compact(turns[i]);
+    const n = size(turn);
+    if (used + n > budget) break;
+    used += n;
+    kept.unshift(turn);
+  }
+  const dropped = turns.slice(0, turns.length - kept.length);
+  const out = [];
+  if (dropped.length) {
+    const asked = dropped.map(t => t.find(m => m.role === "user")?.content).filter(Boolean)
+      .map(c => `- ${String(c).slice(0, 200)}`).join("\n").slice(-2000);
+    out.push({ role:"system", content: `Earlier turns of this conversation were omitted to fit the context window. The user previously asked:\n${asked}` });
+  }
+  return out.concat(kept.flat());
+}
+
+/* ---------------- Maximo helpers ---------------- */
+function normMaximoBase(u) {
+  let s = String(u||"").trim().replace(/\/$/,"");
+  if (!s) return "";
+  if (!/\/maximo$/.test(s)) s = `${s}/maximo`;
+  return s;
+}
+function maximoApiBase(u) {
+  const b = normMaximoBase(u);
+  return b ? b.replace(/\/maximo$/, "/maximo/api") : "";
+}
+function normalizeOrderBy(orderBy) {
+  const s = String(orderBy||"").trim();
+  if (!s) return "";
+  if (s.startsWith("+") || s.startsWith("-")) return s;
+  const m = s.match(/^([a-zA-Z0-9_\.]+)\s+(asc|desc)$/i);
+  if (m) return (m[2].toLowerCase()==="desc" ? `-${m[1]}` : `+${m[1]}`);
+  return `+${s}`;
+}
+
+function tenantKnown(s, id) {
+  return (s.tenants||[]).some(t => String(t.id) === String(id));
+}
+
+// Custom provider key reference (env:NAME / file:/path). Maximo credentials are only ever resolved by the MCP server.
+async function readSecretRef(ref) {
+  const v = String(ref||"");
+  if (v.startsWith("env:")) return String(process.env[v.slice(4)] || "").trim();
+  if (v.startsWith("file:")) {
+    const fp = path.resolve(v.slice(5));
+    if (!fp.startsWith(path.resolve(TENANT_SECRETS_DIR) + path.sep)) return "";
+    try { return (await readFile(fp, "utf-8")).trim(); } catch { return ""; }
+  }
+  return "";
+}
+
+const FETCH_ALL_PAGE_SIZE = 500;
+const FETCH_ALL_MAX_ROWS = 5000;
+const FETCH_ALL_HARD_LIMIT = 50000;
+
+// Paging cursor: the routed query plus page number, opaque to the UI. Signed (see signValue) for the user it
+// was issued to, so an edited cursor or someone else's is refused; it expires after CURSOR_TTL_S.
+const CURSOR_TTL_S = 12 * 3600;
+function encodeCursor(q) {
+  return signValue({ ...q, user: currentUser(), exp: Math.floor(Date.now()/1000) + CURSOR_TTL_S });
+}
+function decodeCursor(c) {
+  const q = verifyValue(c);
+  if (!q || q.user !== currentUser() || !q.os || !Number.isInteger(q.pageno)) return null;
+  const { user, exp, ...query } = q;
+  return query;
+}
+
+function oslcPageUrl(mx, q) {
+  const params = new URLSearchParams();
+  if (q.where) params.set("oslc.where", q.where);
+  if (q.select) params.set("oslc.select", q.select);
+  if (q.orderBy) params.set("oslc.orderBy", q.orderBy);
+  if (q.pageSize) params.set("oslc.pageSize", String(q.pageSize));
+  params.set("pageno", String(q.pageno || 1));
+  params.set("collectioncount", "1");
+  return `${mx.apiBase}/os/${encodeURIComponent(q.os)}?${params.toString()}`;
+}
+
+// Tenant of a direct query or REST Builder request. Its reads go through maximo.queryOS on the MCP server,
+// so tenant credentials and guardrails (denied object structures, forced site/org, page size cap) apply
+// there exactly as for the agent's tool calls; the app only needs the site and the URL for display.
+function directTenant(s, tenantId) {
+  const id = String(tenantId || s.maximo?.defaultTenant || "default");
+  if (tenantId && !tenantKnown(s, id)) return { error:"unknown_tenant", detail:`Tenant "${id}" is not in the tenants registry.` };
+  if (!tenantAllowed(id)) return tenantForbidden(id);
+  const t = (s.tenants||[]).find(x => String(x.id) === id) || {};
+  return { id, apiBase: maximoApiBase(t.maximoBaseUrl || s.maximo?.baseUrl), site: String(t.site || s.maximo?.defaultSite || "").toUpperCase() };
+}
+
+function mcpToolError(r, error) {
+  const x = r.result;
+  return { error: (typeof x === "object" && x?.error) || error, status: r.status || 502,
+    detail: typeof x === "string" ? x.slice(0,600) : (x?.detail || ""), ...(x?.url ? { url: x.url } : {}) };
+}
+
+// Routed or REST Builder query { os, where, select, orderBy, pageSize, pageno } -> maximo.queryOS arguments
+function queryOsArgs(q) {
+  const params = { ...(q.where ? { "oslc.where": q.where } : {}), ...(q.select ? { "oslc.select": q.select } : {}) };
+  return { os: q.os, params, ...(q.orderBy ? { orderBy: q.orderBy } : {}), pageSize: q.pageSize, pageno: q.pageno || 1 };
+}
+
+// One page through the MCP server; context ({ sessionId, prompt }) goes into its audit log
+async function queryOsPage(s, tenant, args, context) {
+  const mcpUrl = String(s.mcp?.url || MCP_URL_DEFAULT).trim().replace(/\/$/,"");
+  const r = await callMcpTool({ mcpUrl, tenant, name:"maximo.queryOS", args, context });
+  if (!r.ok) return mcpToolError(r, "maximo_failed");
+  const member = r.result?.data?.member || r.result?.data?.["rdfs:member"] || [];
+  return { rows: Array.isArray(member) ? member : [], totalCount: r.result.totalCount ?? null, hasNext: !!r.result.nextCursor,
+    nextCursor: r.result.nextCursor || null, url: r.result.trace?.request?.url || "", raw: r.result.data, query: r.result.query || {} };
+}
+
+// Every page from the first, following nextCursor up to maxRows: { rows, totalCount, select, truncated } or the failed page's error
+async function queryOsAll(s, tenant, args, maxRows, context) {
+  const { cursor, pageno, ...first } = args;
+  const rows = [];
+  let next = { ...first, pageSize: FETCH_ALL_PAGE_SIZE }, p;
+  for (;;) {
+    p = await queryOsPage(s, tenant, next, context);
+    if (p.error) return p;
+    rows.push(...p.rows);
+    if (!p.hasNext || rows.length >= maxRows) break;
+    next = { os: args.os, cursor: p.nextCursor };
+  }
+  return { rows: rows.slice(0, maxRows), totalCount: p.totalCount, select: p.query.select, truncated: p.hasNext || rows.length > maxRows };
+}
+
+// Table columns: the select list, or the scalar attributes of the first row for select=*
+function tableColumns(select, rows) {
+  return select && select !== "*"
+    ? select.split(",").map(x=>x.trim()).filter(Boolean)
+    : Object.keys(rows[0] || {}).filter(k => k !== "href" && !k.startsWith("_") && (rows[0][k] === null || typeof rows[0][k] !== "object"));
+}
+
+/* ---------------- Export (CSV, XLSX, JSON) ---------------- */
+// A table's export source is the maximo.queryOS call behind it (direct query, REST Builder or an agent tool
+// call); the export replays it through the MCP server over all pages, up to EXPORT_MAX_ROWS.
+const EXPORT_FORMATS = {
+  csv: { ext:"csv", type:"text/csv; charset=utf-8" },
+  xlsx: { ext:"xlsx", type:"application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" },
+  json: { ext:"json", type:"application/json; charset=utf-8" }
+};
+const EXPORT_MAX_ROWS = FETCH_ALL_HARD_LIMIT;
+
+// Export tokens are signed and bound to the user like paging cursors: tenant, arguments and the conversation
+// recorded in the MCP audit log come from the server, not from the browser.
+function encodeToolExport(tenant, args, sessionId) {
+  const { cursor, pageno, ...keep } = args || {};
+  return signValue({ tool:"maximo.queryOS", tenant, args: keep, sessionId: sessionId || "", user: currentUser(), exp: Math.floor(Date.now()/1000) + CURSOR_TTL_S });
+}
+
+// Tenant ids and object structure names end up in a quoted header value
+function exportFileName(tenant, os, ext) {
+  const safe = v => String(v || "").replace(/[^A-Za-z0-9._-]/g, "_");
+  return `${safe(tenant)}-${safe(os)}-${new Date().toISOString().slice(0, 10)}.${ext}`;
+}
+
+function decodeExportSource(token) {
+  const t = verifyValue(token);
+  if (!t || t.user !== currentUser() || t.tool !== "maximo.queryOS" || !t.args?.os) return null;
+  return t;
+}
+
+// All rows of the source (guardrails and audit included); { rows, os, select, tenant, truncated } or { error, status, detail }
+async function exportRows(s, src) {
+  const tenant = String(src.tenant || "default");
+  const all = await queryOsAll(s, tenant, src.args, EXPORT_MAX_ROWS, { sessionId: String(src.sessionId||""), prompt:"(export)" });
+  if (all.error) return { ...all, error:"export_failed" };
+  return { rows: all.rows, os: String(src.args.os), select: all.select, tenant, truncated: all.truncated };
+}
+
+// Columns: the top-level names of the select list, or every scalar attribute seen in any row
+function exportColumns(select, rows) {
+  if (select && select !== "*") {
+    let depth = 0, cur = "";
+    const names = [];
+    for (const ch of select + ",") {
+      if (ch === "{") depth++;
+      if (ch === "}") depth--;
+      if (ch === "," && depth === 0) { if (cur.trim()) names.push(cur.trim().replace(/\{.*$/s, "")); cur = ""; }
+      else cur += ch;
+    }
+    return names;
+  }
+  const seen = new Set();
+  for (const r of rows) for (const k of Object.keys(r || {})) if (k !== "href" && !k.startsWith("_") && (r[k] === null || typeof r[k] !== "object")) seen.add(k);
+  return [...seen];
+}
+
+function exportCell(v) {
+  return v == null ? "" : typeof v === "object" ? JSON.stringify(v) : v;
+}
+
+// CRLF line ends, fields as csvCell writes them
+function exportCsv(columns, rows) {
+  return [columns.map(csvCell).join(","), ...rows.map(r => columns.map(c => csvCell(r?.[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+const CRC_TABLE = Array.from({ length:256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const b of buf) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Minimal zip writer (deflate, no zip64) for the XLSX package
+function zipFiles(files) {
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+  const locals = [], centrals = [];
+  let offset = 0;
+  for (const f of files) {
+    const name = Buffer.from(f.name, "utf-8");
+    const data = Buffer.from(f.data, "utf-8");
+    const packed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+    const head = Buffer.alloc(30);
+    head.writeUInt32LE(0x04034b50, 0); head.writeUInt16LE(20, 4); head.writeUInt16LE(0x0800, 6); head.writeUInt16LE(8, 8);
+    head.writeUInt16LE(time, 10); head.writeUInt16LE(date, 12); head.writeUInt32LE(crc, 14);
+    head.writeUInt32LE(packed.length, 18); head.writeUInt32LE(data.length, 22); head.writeUInt16LE(name.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); central.writeUInt16LE(20, 4); central.writeUInt16LE(20, 6); central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10); central.writeUInt16LE(time, 12); central.writeUInt16LE(date, 14); central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20); central.writeUInt32LE(data.length, 24); central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(head, name, packed);
+    centrals.push(central, name);
+    offset += head.length + name.length + packed.length;
+  }
+  const dir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); end.writeUInt16LE(files.length, 8); end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(dir.length, 12); end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dir, end]);
+}
+
+function xmlText(v) {
+  // characters XML 1.0 does not allow (control codes, lone surrogates) would make Excel reject the file
+  return String(v).replace(/[^\x09\x0a\x0d\x20-\ud7ff\ue000-\ufffd\u{10000}-\u{10ffff}]/gu, "").replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function xlsxColumn(i) {
+  let s = "";
+  for (i++; i > 0; i = Math.floor((i - 1) / 26)) s = String.fromCharCode(65 + (i - 1) % 26) + s;
+  return s;
+}
+
+// One-sheet workbook: bold header row, numbers as numbers, everything else as inline strings
+function exportXlsx(columns, rows, sheetName) {
+  const cell = (v, ref, style) => {
+    const x = exportCell(v);
+    if (typeof x === "number" && Number.isFinite(x)) return `<c r="${ref}"${style}><v>${x}</v></c>`;
+    if (typeof x === "boolean") return `<c r="${ref}" t="b"${style}><v>${x ? 1 : 0}</v></c>`;
+    return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${xmlText(String(x).slice(0, 32767))}</t></is></c>`;
+  };
+  const line = (values, n, style="") => `<row r="${n}">${values.map((v, i) => cell(v, `${xlsxColumn(i)}${n}`, style)).join("")}</row>`;
+  const sheetRows = [line(columns, 1, ` s="1"`), ...rows.map((r, i) => line(columns.map(c => r?.[c]), i + 2))];
+  const sheet = String(sheetName || "Export").replace(/[[\]:*?/\\]/g, " ").slice(0, 31) || "Export";
+  const ns = `xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"`;
+  const rel = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+  return zipFiles([
+    { name:"[Content_Types].xml", data:`<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>` },
+    { name:"_rels/.rels", data:`<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${rel}/officeDocument" Target="xl/workbook.xml"/></Relationships>` },
+    { name:"xl/workbook.xml", data:`<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook ${ns} xmlns:r="${rel}"><sheets><sheet name="${xmlText(sheet)}" sheetId="1" r:id="rId1"/></sheets></workbook>` },
+    { name:"xl/_rels/workbook.xml.rels", data:`<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${rel}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${rel}/styles" Target="styles.xml"/></Relationships>` },
+    { name:"xl/styles.xml", data:`<?xml version="1.0" encoding="UTF-8" standalone="yes"?><styleSheet ${ns}><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders><cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs><cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs></styleSheet>` },
+    { name:"xl/worksheets/sheet1.xml", data:`<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet ${ns}><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${sheetRows.join("")}</sheetData></worksheet>` }
+  ]);
+}
+
+/* ---------------- REST Builder ---------------- */
+const REST_OPERATORS = ["=", "!=", ">", ">=", "<", "<=", "like", "starts", "in", "null", "notnull"];
+const REST_MAX_PAGE_SIZE = 1000;
+
+// Values are quoted unless the attribute is numeric in the object structure's schema: a work order or asset
+// number such as 1001 is a string attribute and would not match unquoted.
+function oslcLiteral(v, numeric) {
+  const t = String(v ?? "").trim();
+  return numeric && /^-?\d+(\.\d+)?$/.test(t) ? t : `"${t.replace(/"/g, '\\"')}"`;
+}
+
+// One where-builder row -> OSLC syntax; numeric = attribute names describeOS reports as numbers
+function oslcCondition(c, numeric) {
+  const field = String(c?.field||"").trim();
+  const op = String(c?.op||"=").trim().toLowerCase();
+  if (!/^[a-zA-Z0-9_.]+$/.test(field)) return { error:`invalid field "${field}"` };
+  if (!REST_OPERATORS.includes(op)) return { error:`unsupported operator "${op}" (use ${REST_OPERATORS.join(", ")})` };
+  const v = String(c?.value ?? "");
+  if (op === "null") return { clause:`${field}!="*"` };
+  if (op === "notnull") return { clause:`${field}="*"` };
+  if (op === "like") return { clause:`${field}="%${v.replace(/"/g, '\\"')}%"` };
+  if (op === "starts") return { clause:`${field}="${v.replace(/"/g, '\\"')}%"` };
+  if (op === "in") {
+    const items = v.split(",").map(x => x.trim()).filter(Boolean);
+    if (!items.length) return { error:`"in" on ${field} needs a comma separated list` };
+    return { clause:`${field} in [${items.map(x => oslcLiteral(x, numeric.has(field.toLowerCase()))).join(",")}]` };
+  }
+  return { clause:`${field}${op}${oslcLiteral(v, numeric.has(field.toLowerCase()))}` };
+}
+
+// Numeric attributes of os from maximo.describeOS (cached by the MCP server); empty, so everything is quoted,
+// when the schema is unavailable
+async function numericAttributes(s, tenant, os) {
+  const mcpUrl = String(s.mcp?.url || MCP_URL_DEFAULT).trim().replace(/\/$/,"");
+  const r = await callMcpTool({ mcpUrl, tenant, name:"maximo.describeOS", args:{ os } });
+  const attrs = r.ok && Array.isArray(r.result?.attributes) ? r.result.attributes : [];
+  return new Set(attrs.filter(a => a.type === "number" || a.type === "integer").map(a => String(a.name).toLowerCase()));
+}
+
+function buildRestQuery(spec, numeric=new Set()) {
+  const os = String(spec.os||"").trim();
+  if (!/^[a-zA-Z0-9_]+$/.test(os)) return { error:"missing_os", detail:"Pick an object structure." };
+  const select = (Array.isArray(spec.select) ? spec.select.join(",") : String(spec.select||"")).split(",").map(x=>x.trim()).filter(Boolean).join(",") || "*";
+  const clauses = [];
+  for (const c of Array.isArray(spec.where) ? spec.where : []) {
+    if (!String(c?.field||"").trim()) continue;
+    const r = oslcCondition(c, numeric);
+    if (r.error) return { error:"invalid_where", detail: r.error };
+    clauses.push(r.clause);
+  }
+  if (String(spec.whereRaw||"").trim()) clauses.push(String(spec.whereRaw).trim());
+  const orderBy = String(spec.orderBy||"").split(",").map(normalizeOrderBy).filter(Boolean).join(",");
+  const pageSize = Math.min(Math.max(Math.floor(Number(spec.pageSize)) || 20, 1), REST_MAX_PAGE_SIZE);
+  const pageno = Math.max(Math.floor(Number(spec.pageno)) || 1, 1);
+  return { os, select, where: clauses.join(" and "), orderBy, pageSize, pageno };
+}
+
+// Saved REST Builder requests kept in settings.json (no credentials, just the query spec)
+function sanitizeRestRequest(r) {
+  return {
+    name: String(r?.name||"").trim().slice(0, 80),
+    tenant: String(r?.tenant||"").trim(),
+    os: String(r?.os||"").trim(),
+    select: String(Array.isArray(r?.select) ? r.select.join(",") : r?.select||"").trim(),
+    where: (Array.isArray(r?.where) ? r.where : []).map(c => ({ field:String(c?.field||"").trim(), op:String(c?.op||"="), value:String(c?.value ?? "") })).filter(c => c.field),
+    whereRaw: String(r?.whereRaw||"").trim(),
+    orderBy: String(r?.orderBy||"").trim(),
+    pageSize: Math.min(Math.max(Math.floor(Number(r?.pageSize)) || 20, 1), REST_MAX_PAGE_SIZE)
+  };
+}
+
+// /os listing -> object structure names (lean or namespaced, name or href)
+function objectStructureNames(list) {
+  const member = list?.member || list?.["rdfs:member"] || [];
+  const names = (Array.isArray(member) ? member : []).map(m =>
+    m?.name || m?.intobjectname || m?.["oslc:shortTitle"] || String(m?.href || m?.["rdf:about"] || "").split("?")[0].split("/").pop()
+  ).map(x => String(x||"").toLowerCase()).filter(Boolean);
+  return [...new Set(names)].sort();
+}
+
+/* ---------------- Prompt routing (direct Maximo mode) ---------------- */
+// Deterministic keyword router (no LLM): maps a prompt to object structure, where, select and orderBy.
+const MAXIMO_INTENTS = [
+  { intent:"workorders", label:"work orders", os:"mxapiwo", match:/\b(work\s*orders?|wos?)\b/i,
+    select:"wonum,description,siteid,location,assetnum,status,worktype,wopriority,reportdate,changedate",
+    open:'status!="COMP" and status!="CLOSE" and status!="CAN"', closed:'status="CLOSE"' },
+  { intent:"servicerequests", label:"service requests", os:"mxapisr", match:/\b(service\s*requests?|srs?|tickets?)\b/i,
+    select:"ticketid,description,siteid,location,assetnum,status,reportedby,reportdate,changedate",
+    open:'status!="RESOLVED" and status!="CLOSED"', closed:'status="CLOSED"' },
+  { intent:"locations", label:"locations", os:"mxapilocations", match:/\blocations?\b/i,
+    select:"location,description,siteid,type,status,changedate" },
+  { intent:"assets", label:"assets", os:"mxapiasset", match:/\bassets?\b/i,
+    select:"assetnum,description,siteid,location,status,assettype,changedate" }
+];
+const DEFAULT_ASSET_SELECT = "assetnum,description,siteid,location,status,assettype,changedate";
+
+function isoDaysAgo(days, now=new Date()) {
+  const d = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  d.setUTCDate(d.getUTCDate() - days);
+  return d.toISOString().slice(0, 10);
+}
+
+// "changed since last week", "last 3 days", "today", "since 2024-05-01" -> start date (YYYY-MM-DD)
+// "per status", "by site", "per month": a grouped count drawn as a chart instead of a table of rows
+const GROUP_BY_WORDS = {
+  status:{ field:"status" }, site:{ field:"siteid" }, location:{ field:"location" },
+  assettype:{ field:"assettype" }, worktype:{ field:"worktype" },
+  day:{ field:"changedate", interval:"day" }, month:{ field:"changedate", interval:"month" }, year:{ field:"changedate", interval:"year" }
+};
+const GROUP_MAX_BARS = 20; // bars including "(other)"; maximo.aggregateOS does the counting
+
+function parseGroupBy(t) {
+  const m = t.match(/\b(?:per|by)\s+(status|site|location|asset\s*type|work\s*type|day|month|year)\b/);
+  if (!m || /\b(?:order|sort|sorted)\s*$/.test(t.slice(0, m.index))) return null;
+  const word = m[1].replace(/\s+/g, "");
+  const g = GROUP_BY_WORDS[word];
+  return { ...g, label: g.interval ? `${g.field} per ${g.interval}` : g.field, chart: /\bpie\b/.test(t) ? "pie" : g.interval ? "line" : "bar" };
+}
+
+function parseChangedSince(t, now=new Date()) {
+  let m = t.match(/\bsince\s+(\d{4}-\d{2}-\d{2})\b/);
+  if (m) return m[1];
+  m = t.match(/\b(?:last|past)\s+(\d{1,3})\s+(day|week|month)s?\b/);
+  if (m) return isoDaysAgo(Number(m[1]) * ({ day:1, week:7, month:30 })[m[2]], now);
+  if (/\b(?:last|past|this)\s+week\b/.test(t)) return isoDaysAgo(7, now);
+  if (/\b(?:last|past|this)\s+month\b/.test(t)) return isoDaysAgo(30, now);
+  if (/\byesterday\b/.test(t)) return isoDaysAgo(1, now);
+  if (/\btoday\b/.test(t)) return isoDaysAgo(0, now);
+  return "";
+}
+
+function routeMaximoPrompt(text, { site, defaultOs }) {
+  const raw = String(text||"").trim();
+  const t = raw.toLowerCase();
+
+  // earliest mentioned entity wins ("assets at location X" is about assets)
+  let hit = null;
+  for (const it of MAXIMO_INTENTS) {
+    const m = t.match(it.match);
+    if (m && (!hit || m.index < hit.index)) hit = { ...it, index: m.index };
+  }
+  const base = hit || {
+    intent:"default", label:`records of ${defaultOs}`, os: defaultOs,
+    select: defaultOs === "mxapiasset" ? DEFAULT_ASSET_SELECT : "*"
+  };
+
+  const where = [];
+  const said = [base.label];
+
+  const siteM = raw.match(/\bsite\s+["']?([A-Za-z0-9_-]+)/i);
+  if (/\ball\s+sites\b/.test(t)) said.push("at all sites");
+  else if (siteM) { where.push(`siteid="${siteM[1].toUpperCase()}"`); said.push(`at site ${siteM[1].toUpperCase()}`); }
+  else if (site) { where.push(`siteid="${site}"`); said.push(`at default site ${site}`); }
+
+  const statusM = raw.match(/(?<!\b(?:per|by)\s+)\bstatus\s+(?:is\s+|=\s*)?["']?([A-Za-z_]+)/i); // not "per status …"
+  if (statusM) { where.push(`status="${statusM[1].toUpperCase()}"`); said.push(`with status ${statusM[1].toUpperCase()}`); }
+  else if (base.open && /\b(open|active|outstanding)\b/.test(t)) { where.push(base.open); said[0] = `open ${base.label}`; }
+  else if (base.closed && /\bclosed\b/.test(t)) { where.push(base.closed); said[0] = `closed ${base.label}`; }
+
+  const locM = raw.match(/\b(?:at|in|for)\s+location\s+["']?([A-Za-z0-9_.-]+)/i);
+  if (locM && base.intent !== "locations") { where.push(`location="${locM[1].toUpperCase()}"`); said.push(`at location ${locM[1].toUpperCase()}`); }
+  const assetM = raw.match(/\b(?:for|on|of)\s+asset\s+["']?([A-Za-z0-9_.-]+)/i);
+  if (assetM && (base.intent === "workorders" || base.intent === "servicerequests")) { where.push(`assetnum="${assetM[1].toUpperCase()}"`); said.push(`for asset ${assetM[1].toUpperCase()}`); }
+
+  const since = parseChangedSince(t);
+  if (since) { where.push(`changedate>="${since}T00:00:00"`); said.push(`changed since ${since}`); }
+
+  const groupBy = parseGroupBy(t);
+  const oldest = /\boldest\b/.test(t);
+  const orderBy = oldest ? "+changedate" : "-changedate";
+  if (!groupBy) said.push(oldest ? "oldest first" : "newest first");
+
+  const topM = t.match(/\b(?:top|first)\s+(\d{1,4})\b/);
+  const pageSize = String(topM ? Math.min(Math.max(Number(topM[1]), 1), 1000) : 100);
+  if (topM) said.push(`limited to ${pageSize}`);
+
+  if (groupBy) said.push(`counted by ${groupBy.label}`);
+
+  return { intent: base.intent, os: base.os, where: where.join(" and "), select: base.select, orderBy, pageSize, groupBy, interpretation: `${said.join(" ")} (${base.os})` };
+}
+
+/* ---------------- Authentication and roles ---------------- */
+// AUTH_MODE=none (default, local development): everyone is admin.
+// AUTH_MODE=proxy: the OpenShift OAuth proxy in front of the pod sets X-Forwarded-User/-Email (and -Groups
+// where the proxy supports it); bind the app to localhost (HOST=127.0.0.1) so the proxy cannot be bypassed.
+// AUTH_MODE=oidc: authorization-code flow with PKCE against OIDC_ISSUER; the session is an HMAC-signed cookie.
+// OIDC_DEV_ISSUER=true serves a local test issuer under /dev-oidc (any user name, no password).
+const AUTH_MODE = ["proxy","oidc"].includes(String(process.env.AUTH_MODE||"").toLowerCase()) ? String(process.env.AUTH_MODE).toLowerCase() : "none";
+const AUTH_ROLES = ["viewer","operator","admin"];
+const AUTH_DEFAULT_ROLE = AUTH_ROLES.includes(process.env.AUTH_DEFAULT_ROLE) ? process.env.AUTH_DEFAULT_ROLE : "viewer";
+// Unmapped users get no tenants unless AUTH_DEFAULT_TENANTS grants some ("*" = all); admins map them under Settings → Access.
+const AUTH_DEFAULT_TENANTS = String(process.env.AUTH_DEFAULT_TENANTS || "").split(",").map(t => t.trim()).filter(Boolean);
+const AUTH_ADMINS = String(process.env.AUTH_ADMINS||"").split(",").map(a => a.trim()).filter(Boolean);
+const AUTH_SESSION_TTL_S = Math.max(Number(process.env.AUTH_SESSION_TTL_SECONDS) || 8 * 3600, 300);
+const AUTH_SESSION_SECRET = process.env.AUTH_SESSION_SECRET || crypto.randomBytes(32).toString("hex"); // random: sessions end on restart
+const AUTH_COOKIE = "mas_session";
+const AUTH_LOGIN_COOKIE = "mas_login";
+const OIDC_DEV_ISSUER = String(process.env.OIDC_DEV_ISSUER||"").toLowerCase()==="true";
+const OIDC_ISSUER = String(process.env.OIDC_ISSUER || (OIDC_DEV_ISSUER ? `http://localhost:${PORT}/dev-oidc` : "")).replace(/\/$/,"");
+const OIDC_CLIENT_ID = process.env.OIDC_CLIENT_ID || (OIDC_DEV_ISSUER ? "maximo-ai-agent" : "");
+const OIDC_CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET || "";
+const OIDC_REDIRECT_URL = process.env.OIDC_REDIRECT_URL || ""; // default <origin>/auth/callback
+const OIDC_SCOPES = process.env.OIDC_SCOPES || "openid profile email";
+const OIDC_GROUPS_CLAIM = process.env.OIDC_GROUPS_CLAIM || "groups";
+let oidcDiscovery = null;
+
+function b64url(v) {
+  return Buffer.from(v).toString("base64url");
+}
+
+function signValue(obj) {
+  const payload = b64url(JSON.stringify(obj));
+  return `${payload}.${crypto.createHmac("sha256", AUTH_SESSION_SECRET).update(payload).digest("base64url")}`;
+}
+
+// Signed value -> object, or null when tampered with or expired (exp in seconds)
+function verifyValue(v) {
+  const [payload, sig] = String(v||"").split(".");
+  if (!payload || !sig) return null;
+  const want = crypto.createHmac("sha256", AUTH_SESSION_SECRET).update(payload).digest();
+  const got = Buffer.from(sig, "base64url");
+  if (got.length !== want.length || !crypto.timingSafeEqual(got, want)) return null;
+  try {
+    const o = JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+    return o.exp && o.exp * 1000 > Date.now() ? o : null;
+  } catch { return null; }
+}
+
+function readCookies(req) {
+  const out = {};
+  for (const part of String(req.headers.cookie||"").split(";")) {
+    const i = part.indexOf("=");
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i+1).trim());
+  }
+  return out;
+}
+
+function requestOrigin(req) {
+  const proto = String(req.headers["x-forwarded-proto"] || "http").split(",")[0].trim();
+  const host = String(req.headers["x-forwarded-host"] || req.headers.host || "").split(",")[0].trim();
+  return `${proto}://${host}`;
+}
+
+function cookieHeader(req, name, value, maxAge) {
+  const secure = requestOrigin(req).startsWith("https:") ? "; Secure" : "";
+  return `${name}=${encodeURIComponent(value)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`;
+}
+
+// Role mapping from settings.auth.roles: [{ subject:"user:alice" | "group:maximo-ops", role, tenants:["acme"] | ["*"] }]
+function sanitizeAuthRoles(list) {
+  return (Array.isArray(list) ? list : []).map(r => ({
+    subject: String(r?.subject||"").trim(),
+    role: AUTH_ROLES.includes(r?.role) ? r.role : "viewer",
+    tenants: (Array.isArray(r?.tenants) ? r.tenants : String(r?.tenants||"").split(",")).map(t => String(t).trim()).filter(Boolean)
+  })).filter(r => /^(user|group):\S+$/.test(r.subject));
+}
+
+function subjectMatches(subject, ident) {
+  const [kind, name] = [subject.slice(0, subject.indexOf(":")), subject.slice(subject.indexOf(":")+1)];
+  if (kind === "group") return (ident.groups||[]).includes(name);
+  return name === ident.user || (!!ident.email && name === ident.email);
+}
+
+// Highest role of all matching entries; tenants are the union ("*" = all). AUTH_ADMINS entries are
+// subjects too (plain names count as users) so the registry cannot lock out every admin.
+function resolveAccess(s, ident) {
+  if (AUTH_MODE === "none") return { ...ident, role:"admin", tenants:["*"] };
+  if (AUTH_ADMINS.some(a => subjectMatches(a.includes(":") ? a : `user:${a}`, ident))) return { ...ident, role:"admin", tenants:["*"] };
+  const hits = sanitizeAuthRoles(s.auth?.roles).filter(r => subjectMatches(r.subject, ident));
+  if (!hits.length) return { ...ident, role: AUTH_DEFAULT_ROLE, tenants: AUTH_DEFAULT_TENANTS };
+  const role = AUTH_ROLES[Math.max(...hits.map(r => AUTH_ROLES.indexOf(r.role)))];
+  const tenants = role === "admin" ? ["*"] : [...new Set(hits.flatMap(r => r.tenants))];
+  return { ...ident, role, tenants };
+}
+
+// Code outside a signed-in request gets no tenants and no privileges; AUTH_MODE=none grants admin in resolveAccess.
+const NO_ACCESS = Object.freeze({ user:"", role:"viewer", tenants: Object.freeze([]) });
+
+function currentAccess() {
+  return traceContext.getStore()?.access || NO_ACCESS;
+}
+
+function hasRole(access, role) {
+  return AUTH_ROLES.indexOf(access.role) >= AUTH_ROLES.indexOf(role);
+}
+
+function tenantAllowed(id, access=currentAccess()) {
+  return access.tenants.includes("*") || access.tenants.includes(String(id));
+}
+
+function tenantForbidden(id) {
+  if (!currentAccess().tenants.length) return { error:"tenant_forbidden", detail:"You have no tenants yet. Ask an admin to map your user or group under Settings → Access." };
+  return { error:"tenant_forbidden", detail:`You do not have access to tenant "${id}".` };
+}
+
+// Non-admins only see and continue their own conversations
+function conversationVisible(c, access=currentAccess()) {
+  return AUTH_MODE === "none" || access.role === "admin" || (c.owner || "") === access.user;
+}
+
+function requiredRole(method, p) {
+  if (p === "/healthz" || p.startsWith("/auth/") || p.startsWith("/dev-oidc/")) return "";
+  if (method === "POST" && (p === "/api/settings" || p === "/api/settings/test" || p === "/api/trace/clear")) return "admin";
+  if (p === "/api/audit" || p === "/api/audit/verify") return "admin";
+  if (p === "/api/agent/approval" || p === "/api/usage" || p === "/api/trace" || p.startsWith("/api/trace/")) return "operator";
+  if (method === "POST" && p === "/api/rest/saved") return "operator";
+  return "viewer";
+}
+
+function requestIdentity(req) {
+  if (AUTH_MODE === "oidc") {
+    const sess = verifyValue(readCookies(req)[AUTH_COOKIE]);
+    return sess ? { user: sess.user, email: sess.email || "", groups: sess.groups || [] } : null;
+  }
+  const user = String(req.headers["x-forwarded-preferred-username"] || req.headers["x-forwarded-user"] || req.headers["x-forwarded-email"] || "").slice(0, 200);
+  if (AUTH_MODE === "proxy" && !user) return null;
+  const groups = String(req.headers["x-forwarded-groups"]||"").split(",").map(g => g.trim()).filter(Boolean);
+  return { user, email: String(req.headers["x-forwarded-email"]||""), groups };
+}
+
+// Resolves the caller into the request context; answers 401/403 itself and returns false when denied.
+async function authorize(req, res, u) {
+  const need = requiredRole(req.method, u.pathname);
+  const ident = requestIdentity(req);
+  if (!ident) {
+    if (!need) return true;
+    if (AUTH_MODE === "oidc" && req.method === "GET" && !u.pathname.startsWith("/api/")) {
+      res.writeHead(302, { location: `/auth/login?returnTo=${encodeURIComponent(u.pathname + u.search)}` });
+      res.end();
+      return false;
+    }
+    json(res, 401, { error:"unauthenticated", detail:"Sign in first.", ...(AUTH_MODE === "oidc" ? { login:"/auth/login" } : {}) });
+    return false;
+  }
+  const access = resolveAccess(await effectiveSettings(), ident);
+  Object.assign(traceContext.getStore(), { user: access.user, access });
+  if (need && !hasRole(access, need)) {
+    json(res, 403, { error:"forbidden", detail:`This needs the ${need} role; you are ${access.role}.` });
+    return false;
+  }
+  return true;
+}
+
+async function oidcConfig() {
+  if (oidcDiscovery) return oidcDiscovery;
+  if (!OIDC_ISSUER || !OIDC_CLIENT_ID) throw new Error("Set OIDC_ISSUER and OIDC_CLIENT_ID (or OIDC_DEV_ISSUER=true).");
+  const r = await fetchJson(`${OIDC_ISSUER}/.well-known/openid-configuration`, { headers:{ accept:"application/json" } });
+  if (!r.ok || !r.json?.authorization_endpoint || !r.json?.token_endpoint) throw new Error(`OIDC discovery failed (${r.status}) at ${OIDC_ISSUER}`);
+  oidcDiscovery = r.json;
+  return oidcDiscovery;
+}
+
+function oidcRedirectUrl(req) {
+  return OIDC_REDIRECT_URL || `${requestOrigin(req)}/auth/callback`;
+}
+
+// Same-origin paths only, so the login cannot be turned into an open redirect
+function safeReturnTo(v) {
+  const s = String(v||"/");
+  return s.startsWith("/") && !s.startsWith("//") && !s.startsWith("/auth/") ? s : "/";
+}
+
+async function oidcLogin(req, res, u) {
+  const d = await oidcConfig();
+  const login = { state: crypto.randomBytes(16).toString("base64url"), nonce: crypto.randomBytes(16).toString("base64url"),
+    verifier: crypto.randomBytes(32).toString("base64url"), returnTo: safeReturnTo(u.searchParams.get("returnTo")), exp: Math.floor(Date.now()/1000) + 600 };
+  const q = new URLSearchParams({
+    response_type:"code", client_id: OIDC_CLIENT_ID, redirect_uri: oidcRedirectUrl(req), scope: OIDC_SCOPES,
+    state: login.state, nonce: login.nonce,
+    code_challenge: crypto.createHash("sha256").update(login.verifier).digest("base64url"), code_challenge_method:"S256"
+  });
+  res.writeHead(302, { location: `${d.authorization_endpoint}?${q}`, "set-cookie": cookieHeader(req, AUTH_LOGIN_COOKIE, signValue(login), 600) });
+  res.end();
+}
+
+// The ID token comes straight from the token endpoint over TLS with our client credentials, which OIDC
+// Core 3.1.3.7 accepts in place of a signature check; issuer, audience, expiry and nonce are still verified.
+async function oidcCallback(req, res, u) {
+  const login = verifyValue(readCookies(req)[AUTH_LOGIN_COOKIE]);
+  if (u.searchParams.get("error")) return json(res, 401, { error:"login_failed", detail: String(u.searchParams.get("error_description") || u.searchParams.get("error")) });
+  if (!login || login.state !== u.searchParams.get("state")) return json(res, 400, { error:"invalid_login_state", detail:"The login expired or was started in another browser; try again." });
+  const d = await oidcConfig();
+  const form = new URLSearchParams({ grant_type:"authorization_code", code: String(u.searchParams.get("code")||""), redirect_uri: oidcRedirectUrl(req), code_verifier: login.verifier, client_id: OIDC_CLIENT_ID });
+  const headers = { "content-type":"application/x-www-form-urlencoded", accept:"application/json" };
+  if (OIDC_CLIENT_SECRET) headers.authorization = `Basic ${Buffer.from(`${encodeURIComponent(OIDC_CLIENT_ID)}:${encodeURIComponent(OIDC_CLIENT_SECRET)}`).toString("base64")}`;
+  const r = await fetchJson(d.token_endpoint, { method:"POST", headers, body: form.toString() });
+  if (!r.ok || !r.json?.id_token) return json(res, 401, { error:"token_exchange_failed", detail: String(r.text||"").slice(0, 300) });
+  let claims = null;
+  try { claims = JSON.parse(Buffer.from(String(r.json.id_token).split(".")[1], "base64url").toString("utf-8")); } catch {}
+  const aud = Array.isArray(claims?.aud) ? claims.aud : [claims?.aud];
+  if (!claims || claims.iss !== d.issuer || !aud.includes(OIDC_CLIENT_ID) || !(claims.exp * 1000 > Date.now()) || claims.nonce !== login.nonce) {
+    return json(res, 401, { error:"invalid_id_token", detail:"Issuer, audience, expiry or nonce did not match." });
+  }
+  const groups = claims[OIDC_GROUPS_CLAIM];
+  const sess = {
+    user: String(claims.preferred_username || claims.email || claims.sub), email: String(claims.email||""),
+    groups: Array.isArray(groups) ? groups.map(String) : [], exp: Math.floor(Date.now()/1000) + AUTH_SESSION_TTL_S
+  };
+  res.writeHead(302, { location: login.returnTo, "set-cookie": [cookieHeader(req, AUTH_COOKIE, signValue(sess), AUTH_SESSION_TTL_S), cookieHeader(req, AUTH_LOGIN_COOKIE, "", 0)] });
+  res.end();
+}
+
+async function oidcLogout(req, res) {
+  let location = "/";
+  const d = oidcDiscovery || await oidcConfig().catch(() => null);
+  if (d?.end_session_endpoint) location = `${d.end_session_endpoint}?${new URLSearchParams({ client_id: OIDC_CLIENT_ID, post_logout_redirect_uri: `${requestOrigin(req)}/` })}`;
+  res.writeHead(302, { location, "set-cookie": cookieHeader(req, AUTH_COOKIE, "", 0) });
+  res.end();
+}
+
+/* ---------------- Local test issuer (OIDC_DEV_ISSUER=true) ---------------- */
+// Minimal authorization-code issuer for development: asks for a user name and groups, no password.
+const devCodes = new Map();
+
+function devIssuerDiscovery() {
+  return {
+    issuer: OIDC_ISSUER, authorization_endpoint: `${OIDC_ISSUER}/authorize`, token_endpoint: `${OIDC_ISSUER}/token`,
+    response_types_supported:["code"], subject_types_supported:["public"], id_token_signing_alg_values_supported:["HS256"],
+    code_challenge_methods_supported:["S256"]
+  };
+}
+
+function escapeHtml(v) {
+  return String(v).replace(/[&<>"']/g, c => ({ "&":"&amp;", "<":"&lt;", ">":"&gt;", '"':"&quot;", "'":"&#39;" })[c]);
+}
+
+async function handleDevIssuer(req, res, u) {
+  const p = u.pathname.slice("/dev-oidc".length);
+  if (req.method === "GET" && p === "/.well-known/openid-configuration") return json(res, 200, devIssuerDiscovery());
+  if (req.method === "GET" && p === "/authorize") {
+    const q = u.searchParams;
+    const user = String(q.get("user")||"").trim();
+    if (!user) {
+      const hidden = [...q].map(([k, v]) => `<input type="hidden" name="${escapeHtml(k)}" value="${escapeHtml(v)}"/>`).join("");
+      return text(res, 200, `<!doctype html><title>Test login</title><form method="get">${hidden}<p>Local test issuer – any user, no password.</p>`
+        + `<p><label>User <input name="user" autofocus/></label></p><p><label>Groups (comma separated) <input name="groups"/></label></p>`
+        + `<p><label>Email <input name="email"/></label></p><button>Sign in</button></form>`, "text/html; charset=utf-8");
+    }
+    const code = crypto.randomBytes(16).toString("base64url");
+    for (const [k, c] of devCodes) if (c.exp < Date.now()) devCodes.delete(k);
+    devCodes.set(code, { user, email: String(q.get("email")||""), groups: String(q.get("groups")||"").split(",").map(g => g.trim()).filter(Boolean),
+      nonce: q.get("nonce"), challenge: q.get("code_challenge"), clientId: q.get("client_id"), redirectUri: q.get("redirect_uri"), exp: Date.now() + 60000 });
+    const back = new URL(String(q.get("redirect_uri")));
+    back.searchParams.set("code", code);
+    back.searchParams.set("state", String(q.get("state")||""));
+    res.writeHead(302, { location: back.toString() });
+    return res.end();
+  }
+  if (req.method === "POST" && p === "/token") {
+    const f = new URLSearchParams(await readBody(req));
+    const c = devCodes.get(String(f.get("code")));
+    devCodes.delete(String(f.get("code")));
+    const verifier = String(f.get("code_verifier")||"");
+    if (!c || c.exp < Date.now() || c.redirectUri !== f.get("redirect_uri") || crypto.createHash("sha256").update(verifier).digest("base64url") !== c.challenge) {
+      return json(res, 400, { error:"invalid_grant" });
+    }
+    const now = Math.floor(Date.now()/1000);
+    const header = b64url(JSON.stringify({ alg:"HS256", typ:"JWT" }));
+    const body = b64url(JSON.stringify({ iss: OIDC_ISSUER, aud: c.clientId, sub: c.user, preferred_username: c.user, email: c.email, groups: c.groups, nonce: c.nonce, iat: now, exp: now + 300 }));
+    const sig = crypto.createHmac("sha256", AUTH_SESSION_SECRET).update(`${header}.${body}`).digest("base64url");
+    return json(res, 200, { token_type:"Bearer", access_token: crypto.randomBytes(16).toString("base64url"), expires_in: 300, id_token: `${header}.${body}.${sig}` });
+  }
+  return text(res, 404, "Not Found");
+}
+
+/* ---------------- HTTP routing ---------------- */
+async function serveStatic(req, res) {
+  const u = new URL(req.url, `http://${req.headers.host}`);
+  let p = u.pathname === "/" ? "/index.html" : u.pathname;
+  p = p.replace(/\.\./g, ""); // basic traversal guard
+  const fp = path.join(PUBLIC_DIR, p);
+  try {
+    const st = await stat(fp);
+    if (!st.isFile()) throw new Error("not file");
+    const buf = await readFile(fp);
+    const ext = path.extname(fp).toLowerCase();
+    const ctype = ext===".html" ? "text/html; charset=utf-8"
+      : ext===".js" ? "application/javascript; charset=utf-8"
+      : ext===".css" ? "text/css; charset=utf-8"
+      : ext===".svg" ? "image/svg+xml"
+      : "application/octet-stream";
+    res.writeHead(200, { "content-type": ctype, "content-length": buf.length });
+    res.end(buf);
+  } catch {
+    // SPA fallback to index.html
+    try {
+      const buf = await readFile(path.join(PUBLIC_DIR, "index.html"));
+      res.writeHead(200, { "content-type":"text/html; charset=utf-8", "content-length": buf.length });
+      res.end(buf);
+    } catch {
+      text(res, 500, "UI not present in image.");
+    }
+  }
+}
+
+async function handleRequest(req, res) {
+  try {
+    const u = new URL(req.url, `http://${req.headers.host}`);
+
+    // Health, readiness and metrics (no sign-in; METRICS_TOKEN protects /metrics when set)
+    if (req.method==="GET" && u.pathname==="/healthz") return text(res, 200, "ok");
+    if (req.method==="GET" && u.pathname==="/readyz") {
+      const r = await readiness();
+      return json(res, r.ready ? 200 : 503, { ...r, checks: r.checks.map(readyBrief) });
+    }
+    if (req.method==="GET" && u.pathname==="/metrics") {
+      if (METRICS_TOKEN && !safeEqual(String(req.headers.authorization||""), `Bearer ${METRICS_TOKEN}`)) return text(res, 401, "Unauthorized");
+      return text(res, 200, renderMetrics(), "text/plain; version=0.0.4; charset=utf-8");
+    }
+
+    // Authentication: local test issuer, role check for everything else, sign-in routes
+    if (OIDC_DEV_ISSUER && u.pathname.startsWith("/dev-oidc/")) return await handleDevIssuer(req, res, u);
+    if (!(await authorize(req, res, u))) return;
+    if (req.method==="GET" && u.pathname==="/auth/login") {
+      if (AUTH_MODE !== "oidc") { res.writeHead(302, { location:"/" }); return res.end(); }
+      return await oidcLogin(req, res, u);
+    }
+    if (req.method==="GET" && u.pathname==="/auth/callback" && AUTH_MODE==="oidc") return await oidcCallback(req, res, u);
+    if (req.method==="GET" && u.pathname==="/auth/logout" && AUTH_MODE==="oidc") return await oidcLogout(req, res);
+    if (req.method==="GET" && u.pathname==="/auth/me") {
+      const a = traceContext.getStore().access;
+      if (!a) return json(res, 401, { error:"unauthenticated", ...(AUTH_MODE === "oidc" ? { login:"/auth/login" } : {}) });
+      const logout = AUTH_MODE === "oidc" ? "/auth/logout" : AUTH_MODE === "proxy" ? (process.env.AUTH_LOGOUT_URL || "/oauth/sign_out") : "";
+      return json(res, 200, { mode: AUTH_MODE, user: a.user, email: a.email, groups: a.groups, role: a.role, tenants: a.tenants, logout });
+    }
+
+    // Settings
+    if (req.method==="POST" && u.pathname==="/api/settings/load") {
+      const s = await effectiveSettings();
+      // provider keys stay server side; the UI only needs to know which are set
+      const ai = Object.fromEntries(Object.entries(s.ai||{}).filter(([k]) => !k.endsWith("_key")));
+      ai.configured = Object.keys(AI_PROVIDERS).filter(p => s.ai?.[`${p}_key`]);
+      delete s.maximo.apiKey;
+      if (!hasRole(currentAccess(), "admin")) {
+        s.tenants = s.tenants.filter(t => tenantAllowed(t.id));
+        delete s.auth;
+      }
+      return json(res, 200, { settings: { ...s, ai } });
+    }
+    if (req.method==="POST" && u.pathname==="/api/settings") {
+      const body = await readBody(req);
+      const parsed = body ? JSON.parse(body) : {};
+      const next = await saveSettingsFromUI(parsed.payload ?? parsed ?? {});
+      return json(res, 200, { ok:true, settings: next });
+    }
+    // Test connection: the saved settings plus the provider selected in this browser, with URLs and what to fix
+    if (req.method==="POST" && u.pathname==="/api/settings/test") {
+      const body = await readBody(req);
+      const parsed = body ? JSON.parse(body) : {};
+      return json(res, 200, await runReadiness(parsed.provider));
+    }
+    if (req.method==="POST" && u.pathname==="/api/models") {
+      const body = await readBody(req);
+      const parsed = body ? JSON.parse(body) : {};
+      const provider = String(parsed.provider||"openai").toLowerCase();
+      const s = await effectiveSettings();
+      const cfg = await providerConfig(provider, s);
+
+      // Use the curated list if the provider is not usable or its models listing fails
+      const curated = cfg.models?.length ? cfg.models : AI_PROVIDERS.openai.models;
+      const problem = providerProblem(cfg);
+      if (problem && !(cfg.kind === "watsonx" && problem.error === "missing_watsonx_project")) return json(res, 200, { models: curated, warning: problem.error });
+
+      const r = await providerModels(cfg).catch(e => ({ error: String(e?.message||e) }));
+      if (r.error) return json(res, 200, { models: curated, warning: r.error });
+      return json(res, 200, { models: r.models.length ? r.models : curated });
+    }
+
+    // Agent chat (AI mode)
+    if (req.method==="POST" && u.pathname==="/api/agent/chat") {
+      const body = await readBody(req);
+      const parsed = body ? JSON.parse(body) : {};
+      const prep = await prepareAgentRun(parsed);
+      if (prep.error) return json(res, 400, prep);
+      const agent = await runAgentLoop(prep.cfg, prep.run);
+      return json(res, 200, await saveRunToConversation(prep.run, agent));
+    }
+
+    // Agent chat streamed as Server-Sent Events (delta, tool_call_started, tool_call_finished, fallback, done, error)
+    if (req.method==="POST" && u.pathname==="/api/agent/chat/stream") {
+      const body = await readBody(req);
+      const parsed = body ? JSON.parse(body) : {};
+      const prep = await prepareAgentRun(parsed);
+      if (prep.error) return json(res, 400, prep);
+
+      res.writeHead(200, { "content-type":"text/event-stream; charset=utf-8", "cache-control":"no-cache", "x-accel-buffering":"no" });
+      const send = (event, data) => {
+        if (res.writableEnded || res.destroyed) return;
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      };
+      prep.run.emit = send;
+      try {
+        send("done", await saveRunToConversation(prep.run, await runAgentLoop(prep.cfg, prep.run)));
+      } catch (e) {
+        send("error", { error:"agent_failed", detail: String(e?.message || e) });
+      }
+      return res.end();
+    }
+
+    // Approve / reject a parked mutating tool call and resume the conversation
+    if (req.method==="POST" && u.pathname==="/api/agent/approval") {
+      const body = await readBody(req);
+      const parsed = body ? JSON.parse(body) : {};
+      const id = String(parsed.id||"").trim();
+      const decision = String(parsed.decision||"").toLowerCase();
+      if (decision!=="approve" && decision!=="reject") return json(res, 400, { error:"invalid_decision", detail:"decision must be approve or reject" });
+
+      prunePendingActions();
+      const pending = pendingActions.get(id);
+      if (!pending || !conversationVisible(pending.run.session)) return json(res, 404, { error:"pending_action_not_found", detail:"Unknown or expired pending action." });
+
+      const s = await effectiveSettings();
+      const cfg = await providerConfig(pending.run.provider, s);
+      const problem = providerProblem(cfg);
+      if (problem) return json(res, 400, problem);
+      if (!tenantAllowed(pending.run.tenant)) return json(res, 403, tenantForbidden(pending.run.tenant));
+      const budget = budgetStatus(s, pending.run.tenant);
+      if (budget?.exceeded && budget.mode === "block") return json(res, 400, budgetExceeded(budget));
+      pendingActions.delete(id); // one decision per action, even on double submit
+      pending.run.settings = s;
+
+      const agent = await resumeAgentRun(cfg, pending, { approve: decision==="approve", reason: String(parsed.reason||"").trim() });
+      return json(res, 200, await saveRunToConversation(pending.run, agent));
+    }
+
+    // Conversations (sidebar): list, reopen, rename, delete
+    if (req.method==="POST" && u.pathname==="/api/conversations/list") {
+      return json(res, 200, { conversations: await listConversations() });
+    }
+    if (req.method==="POST" && u.pathname==="/api/conversations/get") {
+      const body = await readBody(req);
+      const parsed = body ? JSON.parse(body) : {};
+      const conv = await loadConversation(parsed.id);
+      if (!conv || !conversationVisible(conv)) return json(res, 404, { error:"session_not_found" });
+      return json(res, 200, { conversation: conv });
+    }
+    if (req.method==="POST" && u.pathname==="/api/conversations/rename") {
+      const body = await readBody(req);
+      const parsed = body ? JSON.parse(body) : {};
+      const conv = await loadConversation(parsed.id);
+      if (!conv || !conversationVisible(conv)) return json(res, 404, { error:"session_not_found" });
+      const title = String(parsed.title||"").trim().slice(0, 120);
+      if (!title) return json(res, 400, { error:"missing_title" });
+      conv.title = title;
+      await writeConversation(conv);
+      return json(res, 200, { ok:true, conversation: conversationSummary(conv) });
+    }
+    if (req.method==="POST" && u.pathname==="/api/conversations/delete") {
+      const body = await readBody(req);
+      const parsed = body ? JSON.parse(body) : {};
+      const fp = conversationFile(parsed.id);
+      const conv = fp && existsSync(fp) ? await loadConversation(parsed.id) : null;
+      if (!conv || !conversationVisible(conv)) return json(res, 404, { error:"session_not_found" });
+      dropPendingForSession(String(parsed.id));
+      await unlink(fp);
+      return json(res, 200, { ok:true });
+    }
+
+    // Maximo query (direct)
+    if (req.method==="POST" && u.pathname==="/api/maximo/query") {
+      const body = await readBody(req);
+      const parsed = body ? JSON.parse(body) : {};
+      const s = await effectiveSettings();
+
+      // A cursor replays an earlier routed query (incl. its tenant) at another page; otherwise route the prompt
+      let q = null;
+      if (parsed.cursor) {
+        q = decodeCursor(parsed.cursor);
+        if (!q) return json(res, 400, { error:"invalid_cursor", detail:"The cursor was altered, belongs to another user or has expired; run the query again." });
+      }
+      const dt = directTenant(s, q ? q.tenant : parsed.tenant);
+      if (dt.error) return json(res, dt.error === "tenant_forbidden" ? 403 : 400, dt);
+      const prompt = String(parsed.text || "(direct query)");
+
+      if (!q) {
+        const route = routeMaximoPrompt(parsed.text, { site: dt.site, defaultOs: String(parsed.os || "mxapiasset").trim() });
+        q = {
+          tenant: dt.id,
+          os: route.os, where: route.where, select: route.select, orderBy: normalizeOrderBy(route.orderBy),
+          pageSize: Number(route.pageSize), pageno: Math.max(1, Math.floor(Number(parsed.pageno)) || 1),
+          intent: route.intent, interpretation: route.interpretation
+        };
+
+        // grouped count over all matching rows (maximo.aggregateOS), answered as a chart plus the counts table
+        if (route.groupBy) {
+          const g = route.groupBy;
+          const mcpUrl = String(s.mcp?.url || MCP_URL_DEFAULT).trim().replace(/\/$/,"");
+          const r = await callMcpTool({ mcpUrl, tenant: dt.id, name:"maximo.aggregateOS", context:{ prompt }, args:{
+            os: q.os, params: q.where ? { "oslc.where": q.where } : {}, groupBy: g.field, ...(g.interval ? { interval: g.interval } : {}),
+            chart: g.chart, limit: GROUP_MAX_BARS - 1, title: `${q.os}: count by ${g.label}`
+          }});
+          if (!r.ok) return json(res, r.status || 502, mcpToolError(r, "aggregate_failed"));
+          const { visualization, rowsScanned, truncated } = r.result;
+          return json(res, 200, {
+            tenant: dt.id,
+            summary:`Counted ${rowsScanned} row(s) in ${visualization.series.length} group(s)${truncated ? " (row cap reached)" : ""} · interpreted as ${q.interpretation}.`,
+            interpretation: { text: q.interpretation, intent: q.intent, os: q.os, where: r.result.query?.where ?? q.where, groupBy: g },
+            visualization,
+            table:{ title:`Counts · ${q.os}`, columns:[g.label, "count"], rows: visualization.series.map(x => ({ [g.label]: x.label, count: x.value })) }
+          });
+        }
+      }
+
+      let rows = [], totalCount = null, hasNext = false, truncated = false, ran = {};
+      const fetchAll = parsed.fetchAll === true;
+      if (fetchAll) {
+        // all pages from the first one, capped so a broad query cannot exhaust memory
+        const maxRows = Math.min(Math.max(Number(parsed.maxRows) || Number(s.maximo?.fetchAllMaxRows) || FETCH_ALL_MAX_ROWS, 1), FETCH_ALL_HARD_LIMIT);
+        const all = await queryOsAll(s, dt.id, queryOsArgs(q), maxRows, { prompt });
+        if (all.error) return json(res, all.status||500, all);
+        ({ rows, totalCount, truncated } = all);
+        q = { ...q, pageno: 1 };
+      } else {
+        const p = await queryOsPage(s, dt.id, queryOsArgs(q), { prompt });
+        if (p.error) return json(res, p.status||500, p);
+        ({ rows, totalCount, hasNext } = p);
+        ran = p.query;
+      }
+
+      // where and page size as the MCP server ran them (forced site/org, page size cap)
+      const { os, select, orderBy } = q;
+      const where = ran.where ?? q.where, pageSize = ran.pageSize || q.pageSize;
+      const cols = tableColumns(select, rows);
+      const data = rows.map(o => Object.fromEntries(cols.map(c => [c, o?.[c] ?? ""])));
+      const from = fetchAll ? (data.length ? 1 : 0) : (data.length ? (q.pageno-1)*pageSize + 1 : 0);
+      const page = {
+        pageno: fetchAll ? null : q.pageno, pageSize, totalCount, from, to: from ? from + data.length - 1 : 0,
+        nextCursor: !fetchAll && hasNext ? encodeCursor({ ...q, pageno: q.pageno+1 }) : null,
+        prevCursor: !fetchAll && q.pageno > 1 ? encodeCursor({ ...q, pageno: q.pageno-1 }) : null,
+        allCursor: encodeCursor({ ...q, pageno: 1 }),
+        fetchAll, truncated
+      };
+      const count = totalCount != null ? `${data.length} of ${totalCount}` : `${data.length}`;
+      return json(res, 200, {
+        tenant: dt.id,
+        summary:`Retrieved ${count} row(s) from Maximo${truncated ? " (row cap reached)" : ""} · interpreted as ${q.interpretation}.`,
+        interpretation: { text: q.interpretation, intent: q.intent, os, where, select, orderBy },
+        table:{ title:`Results · ${os}`, columns: cols, rows: data, page, export: encodeToolExport(dt.id, queryOsArgs(q)) }
+      });
+    }
+
+    // REST Builder: object structures (via maximo.listOS), URL preview and proxied OSLC query
+    // Saved requests are shared, so replacing the list needs operator; the rest of settings stays admin-only
+    if (req.method==="POST" && u.pathname==="/api/rest/saved") {
+      const body = await readBody(req);
+      const parsed = body ? JSON.parse(body) : {};
+      if (!Array.isArray(parsed.restRequests)) return json(res, 400, { error:"missing_rest_requests", detail:"Send { restRequests:[...] }." });
+      const next = await saveSettingsFromUI({ restRequests: parsed.restRequests });
+      return json(res, 200, { ok:true, restRequests: next.restRequests || [] });
+    }
+    if (req.method==="POST" && u.pathname==="/api/rest/objectStructures") {
+      const body = await readBody(req);
+      const parsed = body ? JSON.parse(body) : {};
+      const s = await effectiveSettings();
+      const mcpUrl = String(s.mcp?.url || MCP_URL_DEFAULT).trim().replace(/\/$/,"");
+      const tenant = String(parsed.tenant || s.maximo?.defaultTenant || "default");
+      const r = await callMcpTool({ mcpUrl, tenant, name:"maximo.listOS", args:{} });
+      if (!r.ok) return json(res, r.status || 502, { error:"list_os_failed", detail: typeof r.result === "string" ? r.result.slice(0,600) : (r.result?.detail || r.result?.error) });
+      return json(res, 200, { tenant, objectStructures: objectStructureNames(r.result?.list) });
+    }
+    if (req.method==="POST" && u.pathname==="/api/rest/run") {
+      const body = await readBody(req);
+      const parsed = body ? JSON.parse(body) : {};
+      const s = await effectiveSettings();
+      const dt = directTenant(s, parsed.tenant);
+      if (dt.error) return json(res, dt.error === "tenant_forbidden" ? 403 : 400, dt);
+      const os = String(parsed.os||"").trim();
+      const filtered = (Array.isArray(parsed.where) ? parsed.where : []).some(c => String(c?.field||"").trim());
+      const q = buildRestQuery(parsed, filtered && /^[a-zA-Z0-9_]+$/.test(os) ? await numericAttributes(s, dt.id, os) : new Set());
+      if (q.error) return json(res, 400, q);
+
+      // the preview is the query as composed; the run reports the URL the MCP server sent after its guardrails
+      if (parsed.preview) return json(res, 200, { url: oslcPageUrl(dt, q), tenant: dt.id });
+
+      const started = Date.now();
+      const p = await queryOsPage(s, dt.id, queryOsArgs(q), { prompt:"(REST Builder)" });
+      if (p.error) return json(res, p.status || 500, p);
+      const cols = tableColumns(q.select, p.rows);
+      return json(res, 200, {
+        url: p.url, tenant: dt.id, durationMs: Date.now()-started, totalCount: p.totalCount, hasNext: p.hasNext, raw: p.raw,
+        table:{ title:`${q.os} · page ${q.pageno}`, columns: cols, rows: p.rows.map(o => Object.fromEntries(cols.map(c => [c, o?.[c] ?? ""]))),
+          export: encodeToolExport(dt.id, queryOsArgs(q)) }
+      });
+    }
+
+    // Download all rows behind a table (source = its export token) as CSV, XLSX or JSON
+    if (req.method==="GET" && u.pathname==="/api/export") {
+      const format = u.searchParams.get("format") || "csv";
+      const fmt = EXPORT_FORMATS[format];
+      if (!fmt) return json(res, 400, { error:"invalid_format", detail:"format must be csv, xlsx or json." });
+      const src = decodeExportSource(u.searchParams.get("source"));
+      if (!src) return json(res, 400, { error:"invalid_source", detail:"The export link is not valid for you or has expired; run the query again and export from the new table." });
+      const out = await exportRows(await effectiveSettings(), src);
+      if (out.error) return json(res, out.status || 500, out);
+      const columns = exportColumns(out.select, out.rows);
+      const body = format === "json" ? JSON.stringify(out.rows, null, 2)
+        : format === "xlsx" ? exportXlsx(columns, out.rows, out.os)
+        : exportCsv(columns, out.rows);
+      res.writeHead(200, {
+        "content-type": fmt.type, "content-length": Buffer.byteLength(body),
+        "content-disposition": `attachment; filename="${exportFileName(out.tenant, out.os, fmt.ext)}"`,
+        "x-export-rows": String(out.rows.length), ...(out.truncated ? { "x-export-truncated":"true" } : {})
+      });
+      return res.end(body);
+    }
+
+    // Token usage and cost aggregates (JSON or CSV) plus tenant budget status
+    if (req.method==="GET" && u.pathname==="/api/usage") {
+      const s = await effectiveSettings();
+      const currency = usageCurrency(s.usage);
+      const out = queryUsage(u.searchParams);
+      if (u.searchParams.get("format") === "csv") {
+        res.setHeader("content-disposition", `attachment; filename="usage-${new Date().toISOString().slice(0, 10)}.csv"`);
+        return text(res, 200, usageCsv(out, currency), "text/csv; charset=utf-8");
+      }
+      const budgets = (s.tenants||[]).filter(t => tenantAllowed(t.id)).map(t => budgetStatus(s, t.id)).filter(Boolean);
+      return json(res, 200, { ...out, currency, prices: s.usage?.prices || [], budgets, retentionDays: USAGE_RETENTION_DAYS });
+    }
+
+    // MCP audit log (query, CSV / JSONL export, hash chain check), proxied so the browser needs no service key
+    if (req.method==="GET" && (u.pathname==="/api/audit" || u.pathname==="/api/audit/verify")) {
+      const s = await effectiveSettings();
+      const mcpUrl = String(s.mcp?.url || MCP_URL_DEFAULT).trim().replace(/\/$/,"");
+      const target = u.pathname === "/api/audit" ? "/mcp/audit" : "/mcp/audit/verify";
+      try {
+        const r = await mcpFetchJson("mcp_audit", `${mcpUrl}${target}${u.search}`, { method:"GET" }, {});
+        const format = u.searchParams.get("format");
+        if (r.ok && target === "/mcp/audit" && (format === "csv" || format === "jsonl")) {
+          res.setHeader("content-disposition", `attachment; filename="mcp-audit-${new Date().toISOString().slice(0, 10)}.${format}"`);
+          return text(res, 200, String(r.text||""), format === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8");
+        }
+        return json(res, r.status || 502, r.json ?? { error:"mcp_failed", detail: String(r.text||"").slice(0, 600) });
+      } catch (e) {
+        return json(res, 502, { error:"mcp_unreachable", detail: String(e?.message||e) });
+      }
+    }
+
+    // Trace log (newest first) and single entry detail
+    if (req.method==="GET" && u.pathname==="/api/trace") {
+      return json(res, 200, { traces: filterTraces(u.searchParams), max: TRACE_MAX, persisted: TRACE_PERSIST });
+    }
+    if (req.method==="GET" && u.pathname.startsWith("/api/trace/")) {
+      const t = traces.find(x => x.id === u.pathname.slice("/api/trace/".length));
+      if (!t || !traceVisible(t)) return json(res, 404, { error:"trace_not_found" });
+      return json(res, 200, { trace: t });
+    }
+    if (req.method==="POST" && u.pathname==="/api/trace/clear") {
+      traces.length = 0;
+      if (TRACE_PERSIST) traceWrites = traceWrites.then(() => writeFile(TRACE_FILE, "", "utf-8")).then(() => { traceFileBytes = 0; }).catch(() => {});
+      return json(res, 200, { ok:true });
+    }
+
+    // Static UI
+    if (req.method==="GET") return await serveStatic(req, res);
+
+    return text(res, 404, "Not Found");
+  } catch (e) {
+    return json(res, 500, { error:"server_error", detail: String(e?.message || e) });
+  }
+}
+
+// Every request gets an id (or keeps the caller's x-request-id) that its trace entries share;
+// authorize() adds the signed-in user and their access to the same context.
+function onRequest(req, res) {
+  const requestId = String(req.headers["x-request-id"] || "").slice(0, 100) || crypto.randomUUID();
+  res.setHeader("x-request-id", requestId);
+  const started = Date.now();
+  res.on("close", () => observeRequest(req, res, started));
+  return traceContext.run({ requestId, user:"" }, () => handleRequest(req, res));
+}
+
+// Behind the OAuth proxy the app listens on HOST=127.0.0.1, out of reach of kubelet probes and Prometheus;
+// MONITOR_PORT serves only /healthz, /readyz and /metrics on all interfaces for them.
+const MONITOR_PORT = Number(process.env.MONITOR_PORT) || 0;
+const MONITOR_PATHS = new Set(["/healthz", "/readyz", "/metrics"]);
+
+const server = http.createServer(onRequest);
+
+await loadPersistedTraces();
+await loadUsage();
+server.listen(PORT, process.env.HOST || undefined, () => {
+  console.log(`AI Agent listening on ${process.env.HOST || ""}:${PORT} (auth: ${AUTH_MODE}${OIDC_DEV_ISSUER ? ", local test issuer" : ""})`);
+  console.log(`SETTINGS_FILE=${SETTINGS_FILE}`);
+});
+if (MONITOR_PORT) {
+  http.createServer((req, res) => MONITOR_PATHS.has(new URL(req.url, "http://x").pathname) ? onRequest(req, res) : text(res, 404, "Not Found"))
+    .listen(MONITOR_PORT, () => console.log(`Health and metrics on ${MONITOR_PORT}`));
+}
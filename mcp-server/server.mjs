@@ -2,17 +2,34 @@
 /**
  * MCP Server (no external npm deps)
  * - /mcp/tools returns OpenAI-ready tool schema
- * - /mcp/call executes tools against Maximo (/maximo/api/os)
+ * - /mcp/call executes tools against Maximo (/maximo/api/os): reads plus create/update/changeStatus
+ * - Metadata tools (object structure schema, domain values) with a per-tenant TTL cache
+ * - Per-tenant LRU cache of listOS / queryOS reads with TTLs per object structure and request coalescing (/mcp/cache)
+ * - Structured queryOS filters compiled to OSLC, checked against the schema and tenant guardrails
+ * - aggregateOS: grouped counts / sums over all pages of a query, with a chart spec for the UI
  * - Reads tenant registry from SETTINGS_FILE (PVC mounted)
+ * - Per-tenant credentials (apikey / maxauth / LTPA) from secret references, never from settings
+ * - /mcp speaks MCP (JSON-RPC 2.0 over Streamable HTTP); `--stdio` serves the same over stdin/stdout
+ * - Service authentication: HMAC-signed requests or bearer keys (MCP_SERVICE_KEYS, rotatable), optional mTLS
+ * - /readyz probes every tenant's Maximo API (status, latency, what to fix)
+ * - /metrics in Prometheus text format (requests, tool calls, Maximo status codes, cache)
+ * - Append-only audit log of tool calls (JSONL on the PVC, rotated, optional hash chain) with /mcp/audit query/export
  */
 import http from "node:http";
-import { readFile, mkdir, writeFile } from "node:fs/promises";
-import { existsSync } from "node:fs";
+import https from "node:https";
+import { readFile, mkdir, writeFile, appendFile, readdir, rename, stat, unlink } from "node:fs/promises";
+import { existsSync, readFileSync, createReadStream } from "node:fs";
 import path from "node:path";
+import crypto from "node:crypto";
+import readline from "node:readline";
+import { csvCell, probeProblem, safeEqual, metricLabelText, metricsRegistry } from "../shared/common.mjs";
 
 const PORT = Number(process.env.PORT || 8081);
 const SETTINGS_DIR = process.env.SETTINGS_DIR || "/opt/app-root/settings";
 const SETTINGS_FILE = process.env.SETTINGS_FILE || path.join(SETTINGS_DIR, "settings.json");
+const TENANT_SECRETS_DIR = process.env.TENANT_SECRETS_DIR || "/var/run/secrets/maximo-tenants";
+const MAX_PAGE_SIZE = Math.max(1, Number(process.env.MCP_MAX_PAGE_SIZE || 1000));
+const DEFAULT_PAGE_SIZE = Math.max(1, Number(process.env.MCP_DEFAULT_PAGE_SIZE || 20)); // when the caller gives none
 
 function json(res, status, obj){
   const body = JSON.stringify(obj);
@@ -37,7 +54,8 @@ async function ensureSettings(){
   }
 }
 async function loadSettings(){
-  await ensureSettings();
+  // stdio runs from a workstation may have no settings volume; fall back to env config
+  try{ await ensureSettings(); }catch{}
   try{ return JSON.parse(await readFile(SETTINGS_FILE,"utf-8")); }catch{ return { tenants:[], maximo:{} }; }
 }
 function normMaximoBase(u){
@@ -55,23 +73,207 @@ function resolveTenant(settings, tenantId){
   const def = String(settings.maximo?.defaultTenant || "default");
   const id = String(tenantId || def || "default");
   const t = tenants.find(x=>String(x.id)===id) || tenants.find(x=>String(x.id)==="default") || {};
-  // API key is expected from env secret primarily; allow optional in settings.maximo.apiKey
-  const baseUrl = t.maximoBaseUrl || settings.maximo?.baseUrl || process.env.MAXIMO_URL || "";
-  const apiKey = process.env.MAXIMO_APIKEY || settings.maximo?.apiKey || "";
+  const sharedUrl = settings.maximo?.baseUrl || process.env.MAXIMO_URL || "";
+  const baseUrl = t.maximoBaseUrl || sharedUrl;
   const site = (t.site || settings.maximo?.defaultSite || process.env.DEFAULT_SITEID || "").toString().toUpperCase();
-  return { id, baseUrl: normMaximoBase(baseUrl), apiBase: maximoApiBase(baseUrl), apiKey, site, org: t.org || "" };
+  // credentials are references (env var / mounted file), resolved per call by tenantCredentials(); the
+  // cluster-wide MAXIMO_APIKEY belongs to MAXIMO_URL and is never offered to a tenant on another host
+  const ownHost = !!t.maximoBaseUrl && normMaximoBase(t.maximoBaseUrl)!==normMaximoBase(sharedUrl);
+  const auth = { type: String(t.authType || "apikey").toLowerCase(), secretRef: String(t.secretRef || ""), userRef: String(t.userRef || ""),
+    ownHost, legacyApiKey: ownHost ? "" : process.env.MAXIMO_APIKEY || settings.maximo?.apiKey || "" };
+  return { id: String(t.id || id), baseUrl: normMaximoBase(baseUrl), apiBase: maximoApiBase(baseUrl), site, org: (t.org || "").toString().toUpperCase(), auth,
+    guardrails: tenantGuardrails(t.guardrails) };
+}
+// Per-tenant limits from settings.json: { forceSite, forceOrg, deniedOS:[] or "a,b", maxPageSize }
+function tenantGuardrails(g){
+  const x = (g && typeof g==="object") ? g : {};
+  const max = Math.floor(Number(x.maxPageSize));
+  return {
+    forceSite: x.forceSite===true,
+    forceOrg: x.forceOrg===true,
+    deniedOS: (Array.isArray(x.deniedOS) ? x.deniedOS : String(x.deniedOS||"").split(",")).map(v=>String(v).trim().toLowerCase()).filter(Boolean),
+    maxPageSize: max>0 ? Math.min(max, MAX_PAGE_SIZE) : MAX_PAGE_SIZE
+  };
+}
+
+/* ---------------- Tenant credentials ---------------- */
+const AUTH_TYPES = new Set(["apikey","maxauth","ltpa"]);
+const LTPA_TTL_MS = 25 * 60 * 1000;
+const ltpaSessions = new Map(); // tenant id -> { cookie, expires }
+
+// "env:NAME" or "file:<path under TENANT_SECRETS_DIR>"; read at call time so rotated secrets apply without restart.
+// Env references are limited to SECRET_ENV_PREFIXES so a tenant entry cannot read MCP_SERVICE_KEYS or a provider key.
+const SECRET_ENV_PREFIXES = ["MAXIMO_","TENANT_"];
+async function resolveSecretRef(ref){
+  const s = String(ref||"").trim();
+  if(s.startsWith("env:")){
+    const name = s.slice(4);
+    if(!SECRET_ENV_PREFIXES.some(p=>name.startsWith(p))) return { error:`env reference ${name} is not allowed (names must start with ${SECRET_ENV_PREFIXES.join(" or ")})` };
+    return { value: String(process.env[name] || "").trim(), where:`env var ${name}` };
+  }
+  if(s.startsWith("file:")){
+    const fp = path.resolve(s.slice(5));
+    if(!fp.startsWith(path.resolve(TENANT_SECRETS_DIR)+path.sep)) return { error:`secret file must be under ${TENANT_SECRETS_DIR}` };
+    try{ return { value: (await readFile(fp,"utf-8")).trim(), where:`file ${fp}` }; }
+    catch{ return { value:"", where:`file ${fp}` }; }
+  }
+  return { error:`invalid secret reference "${s}" (use env:NAME or file:/path)` };
+}
+
+async function tenantCredentials(tenant){
+  const { type, secretRef, userRef, ownHost, legacyApiKey } = tenant.auth;
+  if(!AUTH_TYPES.has(type)) return { error:`unsupported authType "${type}"` };
+
+  if(type==="apikey" && !secretRef){
+    // legacy single-instance setup: cluster-wide key, only for tenants on MAXIMO_URL
+    if(ownHost) return { error:`tenant ${tenant.id} has its own maximoBaseUrl and needs a secretRef (MAXIMO_APIKEY is only sent to MAXIMO_URL)` };
+    return legacyApiKey ? { type, secret:legacyApiKey } : { error:"MAXIMO_APIKEY must be provided (secret/env) or a tenant secretRef configured." };
+  }
+  if(!secretRef) return { error:`tenant ${tenant.id} (${type}) needs a secretRef` };
+  if(ownHost && String(secretRef).trim()==="env:MAXIMO_APIKEY") return { error:`tenant ${tenant.id} has its own maximoBaseUrl and cannot use env:MAXIMO_APIKEY (it is only sent to MAXIMO_URL)` };
+  const sec = await resolveSecretRef(secretRef);
+  if(sec.error) return { error:`tenant ${tenant.id}: ${sec.error}` };
+  if(!sec.value) return { error:`tenant ${tenant.id}: ${sec.where} is empty or missing` };
+  if(type==="apikey") return { type, secret:sec.value };
+
+  // maxauth/ltpa: userRef + secretRef (password), or secretRef alone holding "user:password"
+  let user = "", password = sec.value;
+  if(userRef){
+    const u = await resolveSecretRef(userRef);
+    if(u.error) return { error:`tenant ${tenant.id}: ${u.error}` };
+    user = u.value;
+  }else if(sec.value.includes(":")){
+    user = sec.value.slice(0, sec.value.indexOf(":"));
+    password = sec.value.slice(sec.value.indexOf(":")+1);
+  }
+  if(!user) return { error:`tenant ${tenant.id}: no user name (set userRef or store user:password)` };
+  return { type, user, password };
+}
+
+// Form login (j_security_check) for LTPA/session based instances; cookies are cached per tenant.
+async function ltpaCookie(tenant, creds){
+  const cached = ltpaSessions.get(tenant.id);
+  if(cached && cached.expires > Date.now()) return cached.cookie;
+  const r = await fetch(`${tenant.baseUrl}/j_security_check`,{
+    method:"POST", redirect:"manual",
+    headers:{ "content-type":"application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ j_username:creds.user, j_password:creds.password }).toString()
+  });
+  const cookie = (r.headers.getSetCookie?.() || []).map(c=>c.split(";")[0]).filter(Boolean).join("; ");
+  if(!/LtpaToken2?=|JSESSIONID=/.test(cookie)) throw new Error(`LTPA login failed for tenant ${tenant.id} (${r.status})`);
+  ltpaSessions.set(tenant.id,{ cookie, expires: Date.now()+LTPA_TTL_MS });
+  return cookie;
+}
+
+async function authHeaders(tenant){
+  const c = tenant.creds;
+  if(c.type==="apikey") return { apikey:c.secret };
+  if(c.type==="maxauth") return { maxauth: Buffer.from(`${c.user}:${c.password}`,"utf-8").toString("base64") };
+  return { cookie: await ltpaCookie(tenant, c) };
+}
+function redactedAuth(tenant){
+  return ({ apikey:{ apikey:"***" }, maxauth:{ maxauth:"***" }, ltpa:{ cookie:"***" } })[tenant.creds?.type] || {};
+}
+
+// Maximo request with the tenant's credentials; an expired LTPA session is renewed once.
+async function maximoFetch(tenant, url, options={}){
+  const send = async ()=>{
+    const started = Date.now();
+    try{
+      const r = await fetchJson(url,{ ...options, headers:{ ...(options.headers||{}), ...await authHeaders(tenant) }});
+      observeMaximo(tenant, options.method||"GET", r.status, Date.now()-started);
+      return r;
+    }catch(e){
+      observeMaximo(tenant, options.method||"GET", 0, Date.now()-started);
+      throw e;
+    }
+  };
+  const r = await send();
+  if(r.status===401 && tenant.creds.type==="ltpa"){
+    ltpaSessions.delete(tenant.id);
+    return await send();
+  }
+  return r;
 }
 
 const MCP_NATIVE_TOOLS = [
-  { name:"maximo.listOS", description:"List object structures (/os).",
-    inputSchema:{ type:"object", properties:{}, additionalProperties:false } },
-  { name:"maximo.queryOS", description:"Query an object structure with OSLC params.",
+  { name:"maximo.listOS", description:"List object structures (/os). Cached per tenant.", annotations:{ readOnlyHint:true },
+    inputSchema:{ type:"object", properties:{
+      refresh:{ type:"boolean", description:"Bypass the cache" }
+    }, additionalProperties:false } },
+  { name:"maximo.queryOS", description:"Query an object structure with OSLC params. Returns one page plus totalCount; pass nextCursor back as cursor to get the next page. Check attribute names with maximo.describeOS first.", annotations:{ readOnlyHint:true },
     inputSchema:{ type:"object", properties:{
       os:{ type:"string", description:"Object Structure name (e.g., mxapiasset, mxapiwo)" },
-      params:{ type:"object", description:"OSLC query params (oslc.where, oslc.select, oslc.orderBy, oslc.pageSize)" }
-    }, required:["os"], additionalProperties:false } }
+      filter:{ type:"object", description:"Structured where clause, preferred over oslc.where. A condition { field, op, value } or a group { and:[...] } / { or:[...] }. op: = != > >= < <= like starts ends in null notnull; value is a string, number or (for in) an array. or-groups must compare one field with = (they become in [...])." },
+      select:{ type:"array", items:{ type:"string" }, description:"Attributes to return (oslc.select)" },
+      orderBy:{ type:"string", description:"e.g. -reportdate,+wonum (oslc.orderBy)" },
+      pageSize:{ type:"integer", minimum:1, description:`Rows per page (default ${DEFAULT_PAGE_SIZE}, capped by the tenant's max page size)` },
+      params:{ type:"object", description:"Raw OSLC query params (oslc.where, oslc.select, oslc.orderBy, oslc.pageSize); structured arguments take precedence" },
+      pageno:{ type:"integer", minimum:1, description:"Page number (1-based) for the given query" },
+      cursor:{ type:"string", description:"nextCursor from a previous queryOS result; replaces params and pageno" },
+      refresh:{ type:"boolean", description:"Bypass the cache (results are cached briefly per tenant)" }
+    }, required:["os"], additionalProperties:false } },
+  { name:"maximo.aggregateOS", description:"Grouped counts or sum/avg/min/max over all rows matching a query, computed server-side, e.g. open work orders per status, assets per siteid or assettype, work orders per month on changedate. Returns the groups plus a chart the user sees; prefer it over queryOS for 'how many … per …' questions and summarise the groups instead of listing rows.",
+    annotations:{ readOnlyHint:true },
+    inputSchema:{ type:"object", properties:{
+      os:{ type:"string", description:"Object Structure name (e.g., mxapiwo, mxapiasset)" },
+      filter:{ type:"object", description:"Structured where clause, same as maximo.queryOS" },
+      params:{ type:"object", description:"Raw OSLC params (oslc.where); filter takes precedence" },
+      groupBy:{ type:"string", description:"Attribute to group by, e.g. status, siteid, assettype, worktype, changedate" },
+      interval:{ type:"string", enum:["day","month","year"], description:"Bucket a date attribute in groupBy (time series)" },
+      aggregate:{ type:"string", enum:["count","sum","avg","min","max"], description:"Default count" },
+      field:{ type:"string", description:"Numeric attribute for sum/avg/min/max, e.g. estdur" },
+      chart:{ type:"string", enum:["bar","pie","line"], description:"Chart for the user; default line with interval, else bar" },
+      title:{ type:"string", description:"Chart title" },
+      limit:{ type:"integer", minimum:1, description:"Largest groups to keep (default 20, max 50); the rest are summed into (other)" },
+      maxRows:{ type:"integer", minimum:1, description:"Rows to scan at most (capped by MCP_AGGREGATE_MAX_ROWS)" },
+      refresh:{ type:"boolean", description:"Bypass the cache" }
+    }, required:["os","groupBy"], additionalProperties:false } },
+  { name:"maximo.describeOS", description:"Describe an object structure: attributes (type, length, required, searchable), key attributes and child objects. Use it to check attribute names before building oslc.select / oslc.where. Cached per tenant.",
+    annotations:{ readOnlyHint:true },
+    inputSchema:{ type:"object", properties:{
+      os:{ type:"string", description:"Object Structure name (e.g., mxapiwo)" },
+      search:{ type:"string", description:"Only attributes whose name or title contains this text" },
+      refresh:{ type:"boolean", description:"Bypass the cache" }
+    }, required:["os"], additionalProperties:false } },
+  { name:"maximo.getDomain", description:"List the values of a Maximo domain (ALN, synonym or numeric), e.g. WOSTATUS, SRSTATUS, WOCLASS. Synonym values include the internal maxvalue. Cached per tenant.",
+    annotations:{ readOnlyHint:true },
+    inputSchema:{ type:"object", properties:{
+      domainid:{ type:"string", description:"Domain id (e.g., WOSTATUS)" },
+      refresh:{ type:"boolean", description:"Bypass the cache" }
+    }, required:["domainid"], additionalProperties:false } },
+  { name:"maximo.createRecord", description:"Create a record in an object structure (e.g. a service request in mxapisr or a work order in mxapiwo). siteid/orgid default to the tenant's site/org.",
+    annotations:{ readOnlyHint:false },
+    inputSchema:{ type:"object", properties:{
+      os:{ type:"string", description:"Object Structure name (e.g., mxapisr, mxapiwo)" },
+      data:{ type:"object", description:"Attribute values of the new record, e.g. { description, assetnum, location, worktype }" },
+      properties:{ type:"string", description:"Comma separated attributes to return (default *)" }
+    }, required:["os","data"], additionalProperties:false } },
+  { name:"maximo.updateRecord", description:"Update attributes of an existing record (merge). Identify it by href (from a query result) or by key attributes.",
+    annotations:{ readOnlyHint:false },
+    inputSchema:{ type:"object", properties:{
+      os:{ type:"string", description:"Object Structure name (e.g., mxapiwo)" },
+      href:{ type:"string", description:"Record href as returned by maximo.queryOS" },
+      key:{ type:"object", description:"Key attributes identifying exactly one record, e.g. { wonum:\"1001\" }. siteid defaults to the tenant site." },
+      data:{ type:"object", description:"Attribute values to change" },
+      properties:{ type:"string", description:"Comma separated attributes to return (default *)" }
+    }, required:["os","data"], additionalProperties:false } },
+  { name:"maximo.changeStatus", description:"Change the status of a record (e.g. work order WAPPR -> APPR) via the changeStatus action.",
+    annotations:{ readOnlyHint:false },
+    inputSchema:{ type:"object", properties:{
+      os:{ type:"string", description:"Object Structure name (e.g., mxapiwo, mxapisr)" },
+      href:{ type:"string", description:"Record href as returned by maximo.queryOS" },
+      key:{ type:"object", description:"Key attributes identifying exactly one record, e.g. { wonum:\"1001\" }. siteid defaults to the tenant site." },
+      status:{ type:"string", description:"New status value (e.g., APPR, INPRG, COMP, CLOSE)" },
+      memo:{ type:"string", description:"Optional status memo" }
+    }, required:["os","status"], additionalProperties:false } }
 ];
 
+// Tools that change Maximo data; the app parks these for human approval.
+function mutatingToolNames(list){
+  return (Array.isArray(list)?list:[]).filter(t=>t.annotations?.readOnlyHint===false).map(t=>t.name);
+}
+
 function mcpToOpenAITools(list){
   const arr = Array.isArray(list)?list:[];
   return arr.map(t=>({
@@ -91,68 +293,1193 @@ async function fetchJson(url, options){
   return { ok:r.ok, status:r.status, text:txt, json:j };
 }
 
-const server = http.createServer(async (req,res)=>{
+// Paging cursor: the full query plus page number and tenant, opaque to the model and HMAC-signed so an edited
+// or made-up cursor is refused. Set MCP_CURSOR_SECRET when cursors must survive a restart or span replicas.
+const CURSOR_SECRET = process.env.MCP_CURSOR_SECRET || crypto.randomBytes(32).toString("hex");
+function cursorSignature(payload){
+  return crypto.createHmac("sha256", CURSOR_SECRET).update(payload).digest("base64url");
+}
+function encodeCursor(q){
+  const payload = Buffer.from(JSON.stringify(q),"utf-8").toString("base64url");
+  return `${payload}.${cursorSignature(payload)}`;
+}
+function decodeCursor(c){
+  const [payload, sig] = String(c||"").split(".");
+  if(!payload || !sig) return null;
+  const want = Buffer.from(cursorSignature(payload)), got = Buffer.from(sig);
+  if(got.length!==want.length || !crypto.timingSafeEqual(got, want)) return null;
   try{
-    const u = new URL(req.url, `http://${req.headers.host}`);
+    const q = JSON.parse(Buffer.from(payload,"base64url").toString("utf-8"));
+    return (q && typeof q==="object" && q.os && Number.isInteger(q.pageno)) ? q : null;
+  }catch{ return null; }
+}
+function oslcQueryUrl(tenant, q){
+  const params = new URLSearchParams();
+  if(q.where) params.set("oslc.where", q.where);
+  if(q.select) params.set("oslc.select", q.select);
+  if(q.orderBy) params.set("oslc.orderBy", q.orderBy);
+  if(q.pageSize) params.set("oslc.pageSize", String(q.pageSize));
+  params.set("pageno", String(q.pageno||1));
+  params.set("collectioncount", "1");
+  return `${tenant.apiBase}/os/${encodeURIComponent(q.os)}?${params.toString()}`;
+}
+function oslcQuote(v){
+  return `"${String(v??"").replace(/"/g,'\\"')}"`;
+}
+function withTenantDefaults(tenant, data){
+  // inject the tenant site/org the same way queries default to the tenant site
+  const out = { ...(data||{}) };
+  if(tenant.site && out.siteid==null) out.siteid = tenant.site;
+  if(tenant.org && out.orgid==null) out.orgid = tenant.org;
+  return out;
+}
+// Resolve a single record URL from an href (only its rest id is trusted) or from key attributes.
+async function resolveRecordUrl(tenant, os, args){
+  const href = String(args.href||"").trim();
+  if(href){
+    const id = href.split(/[?#]/)[0].replace(/\/$/,"").split("/").pop();
+    // Maximo record ids are base64url; anything else ("..", %2F) could point the write at another URL
+    if(!/^[A-Za-z0-9_-]+$/.test(id||"")) return { error:"invalid_href", detail:"href must end with the record id, e.g. .../os/mxapiwo/_QkVERk9SRC8xMDAx" };
+    return { url:`${tenant.apiBase}/os/${encodeURIComponent(os)}/${id}` };
+  }
+  const key = (args.key && typeof args.key==="object") ? { ...args.key } : null;
+  if(!key || !Object.keys(key).length) return { error:"missing_record_ref", detail:"Provide href or key." };
+  const badKey = Object.keys(key).find(k=>!/^[a-z0-9_.]+$/i.test(k));
+  if(badKey!==undefined) return { error:"invalid_key", detail:`key attribute "${badKey}" is not an attribute name (letters, digits, _ and .), e.g. { "wonum":"1001" }` };
+  if(tenant.site && key.siteid==null) key.siteid = tenant.site;
+  const where = Object.entries(key).map(([k,v])=>`${k}=${oslcQuote(v)}`).join(" and ");
+  const params = new URLSearchParams({ "oslc.where":where, "oslc.select":"href", "oslc.pageSize":"2" });
+  const url = `${tenant.apiBase}/os/${encodeURIComponent(os)}?${params.toString()}`;
+  const r = await maximoFetch(tenant, url,{ headers:{ accept:"application/json" }});
+  if(!r.ok || !r.json) return { error:"maximo_failed", status:r.status, detail:r.text.slice(0,600), url };
+  const member = r.json.member || r.json["rdfs:member"] || [];
+  if(member.length!==1) return { error: member.length ? "ambiguous_key" : "record_not_found", detail:`${member.length} record(s) match ${where}` };
+  const found = member[0].href || member[0]["rdf:about"];
+  if(!found) return { error:"record_has_no_href", detail:`Maximo returned the record matching ${where} without href or rdf:about; check that object structure ${os} exposes it.`, url };
+  return resolveRecordUrl(tenant, os, { href: found });
+}
 
-    if(req.method==="GET" && u.pathname==="/healthz") return text(res,200,"ok");
+/* ---------------- Read cache ---------------- */
+// LRU of Maximo GET responses per tenant, keyed on the normalized OSLC URL; MCP_CACHE_MAX_ENTRIES/_BYTES bound
+// all tenants together and the least recently used entry of any tenant goes first. MCP_CACHE_TTLS sets seconds per
+// object structure ("listOS=3600,mxapiwo=30,*=60"; listOS is the /os document, 0 turns caching off for that
+// entry). Identical requests in flight share one Maximo call; refresh:true on a tool skips the cached copy and
+// a successful write drops the tenant's entries for that object structure.
+const CACHE_TTLS = (()=>{
+  const ttls = { listos:3600, "*":60 };
+  for(const part of String(process.env.MCP_CACHE_TTLS||"").split(",")){
+    const [k, v] = part.split("=").map(x=>String(x||"").trim().toLowerCase());
+    if(k && v!=="" && Number.isFinite(Number(v))) ttls[k] = Math.max(Number(v), 0);
+  }
+  return ttls;
+})();
+const CACHE_MAX_ENTRIES = Math.max(Number(process.env.MCP_CACHE_MAX_ENTRIES) || 200, 1);
+const CACHE_MAX_BYTES = Math.max(Number(process.env.MCP_CACHE_MAX_BYTES) || 50_000_000, 100_000);
+const readCaches = new Map(); // tenant id -> { id, entries: Map(key -> { at, ttlMs, os, bytes, r }), bytes, stats }
+const readLru = new Map(); // `${tenant}|${key}` -> tenant id, least recently used first across all tenants
+let readCacheBytes = 0;
+const readsInFlight = new Map(); // `${tenant}|${key}` -> Promise of the Maximo response
 
-    if(req.method==="GET" && u.pathname==="/mcp/tools"){
-      const settings = await loadSettings();
-      // tenant param accepted for future filtering; currently same tools for all tenants
-      return json(res,200,{ tools: mcpToOpenAITools(MCP_NATIVE_TOOLS) });
-    }
+function tenantCache(id){
+  let c = readCaches.get(id);
+  if(!c){
+    c = { id, entries:new Map(), bytes:0, stats:{ hits:0, misses:0, coalesced:0, bypassed:0, expired:0, evicted:0, invalidated:0 } };
+    readCaches.set(id, c);
+  }
+  return c;
+}
 
-    if(req.method==="POST" && u.pathname==="/mcp/call"){
-      const body = await readBody(req);
-      const parsed = body ? JSON.parse(body) : {};
-      const name = String(parsed.name||"").trim();
-      const args = parsed.args || {};
-      const tenantId = parsed.tenant;
+// Same query, same key: parameters sorted, object structure name lowercased
+function cacheKey(url){
+  const u = new URL(url);
+  const params = [...u.searchParams].sort(([a],[b])=>a.localeCompare(b));
+  return `${u.origin}${u.pathname.toLowerCase()}?${new URLSearchParams(params).toString()}`;
+}
+
+function cacheTtlMs(os){
+  const k = String(os||"").toLowerCase();
+  return (CACHE_TTLS[k] ?? CACHE_TTLS["*"] ?? 0) * 1000;
+}
+
+function dropCacheEntry(c, key, stat){
+  const e = c.entries.get(key);
+  if(!e) return;
+  c.entries.delete(key);
+  c.bytes -= e.bytes;
+  readLru.delete(`${c.id}|${key}`);
+  readCacheBytes -= e.bytes;
+  if(stat) c.stats[stat]++;
+}
+
+// maximoFetch for single-page reads; os is the object structure ("listOS" for /os). Adds cached / ageSeconds to the response.
+async function cachedRead(tenant, url, { os, refresh=false }={}){
+  const ttlMs = cacheTtlMs(os);
+  const send = ()=>maximoFetch(tenant, url,{ headers:{ accept:"application/json" }});
+  if(!ttlMs) return { ...await send(), cached:false, ageSeconds:0 };
+
+  const c = tenantCache(tenant.id);
+  const key = cacheKey(url);
+  const hit = c.entries.get(key);
+  if(hit && !refresh){
+    if(Date.now()-hit.at < hit.ttlMs){
+      readLru.delete(`${c.id}|${key}`); readLru.set(`${c.id}|${key}`, c.id); // most recently used goes last
+      c.stats.hits++;
+      return { ...hit.r, cached:true, ageSeconds: Math.round((Date.now()-hit.at)/1000) };
+    }
+    dropCacheEntry(c, key, "expired");
+  }
 
-      const settings = await loadSettings();
-      const tenant = resolveTenant(settings, tenantId);
+  const flightKey = `${tenant.id}|${key}`;
+  if(refresh) c.stats.bypassed++;
+  else if(readsInFlight.has(flightKey)){
+    c.stats.coalesced++;
+    return { ...await readsInFlight.get(flightKey), cached:false, ageSeconds:0 };
+  }else c.stats.misses++;
 
-      if(!name) return json(res,400,{ error:"missing_tool_name" });
-      if(!tenant.apiBase || !tenant.apiKey) return json(res,400,{ error:"missing_maximo_config", detail:"MAXIMO_URL and MAXIMO_APIKEY must be provided (secret/env) or in settings.json." });
+  const p = send();
+  if(!refresh) readsInFlight.set(flightKey, p);
+  let r;
+  try{ r = await p; }
+  finally{ if(readsInFlight.get(flightKey)===p) readsInFlight.delete(flightKey); }
 
-      if(name==="maximo.listOS"){
-        const url = `${tenant.apiBase}/os`;
-        const r = await fetchJson(url,{ headers:{ accept:"application/json", apikey: tenant.apiKey }});
-        if(!r.ok || !r.json) return json(res,r.status||500,{ error:"maximo_failed", detail:r.text.slice(0,600), url });
-        return json(res,200,{ ok:true, tenant:tenant.id, list:r.json });
+  if(r.ok && r.json){
+    const bytes = Buffer.byteLength(r.text||"");
+    dropCacheEntry(c, key);
+    if(bytes<=CACHE_MAX_BYTES){
+      c.entries.set(key, { at:Date.now(), ttlMs, os:String(os||"").toLowerCase(), bytes, r });
+      c.bytes += bytes;
+      readLru.set(`${c.id}|${key}`, c.id);
+      readCacheBytes += bytes;
+      while(readLru.size>CACHE_MAX_ENTRIES || readCacheBytes>CACHE_MAX_BYTES){
+        const [lruKey, id] = readLru.entries().next().value;
+        dropCacheEntry(readCaches.get(id), lruKey.slice(id.length+1), "evicted");
       }
+    }
+  }
+  return { ...r, cached:false, ageSeconds:0 };
+}
+
+// After a write the object structure's cached queries are stale
+function invalidateReads(tenant, os){
+  const c = readCaches.get(tenant.id);
+  if(!c) return;
+  const name = String(os||"").toLowerCase();
+  for(const [key, e] of [...c.entries]) if(e.os===name) dropCacheEntry(c, key, "invalidated");
+}
+
+function cacheStats(caller){
+  const tenants = [...readCaches].filter(([id])=>tenantInScope(caller, id)).map(([id, c])=>{
+    const lookups = c.stats.hits + c.stats.misses + c.stats.coalesced;
+    return { tenant:id, entries:c.entries.size, bytes:c.bytes, ...c.stats, hitRate: lookups ? Math.round((c.stats.hits+c.stats.coalesced)/lookups*1000)/1000 : null };
+  });
+  return { ttls:CACHE_TTLS, maxEntries:CACHE_MAX_ENTRIES, maxBytes:CACHE_MAX_BYTES, inFlight:readsInFlight.size, tenants };
+}
+
+/* ---------------- Metadata (schemas, domains) ---------------- */
+const METADATA_TTL_MS = Math.max(0, Number(process.env.METADATA_TTL_SECONDS || 3600)) * 1000;
+const METADATA_CACHE_MAX = 500;
+const metadataCache = new Map(); // `${tenant}|${kind}|${name}` -> { at, data }
+
+// Successful loads only; the oldest entry goes when the cache is full.
+async function cachedMetadata(tenant, kind, name, refresh, load){
+  const key = `${tenant.id}|${kind}|${name}`;
+  const hit = metadataCache.get(key);
+  if(hit && !refresh && Date.now()-hit.at < METADATA_TTL_MS) return { ...hit.data, cached:true, ageSeconds: Math.round((Date.now()-hit.at)/1000) };
+  const data = await load();
+  if(data.error) return data;
+  metadataCache.delete(key);
+  metadataCache.set(key, { at:Date.now(), data });
+  if(metadataCache.size > METADATA_CACHE_MAX) metadataCache.delete(metadataCache.keys().next().value);
+  return { ...data, cached:false, ageSeconds:0 };
+}
+
+function schemaAttribute(name, p, required){
+  const a = { name, type: p.type || "string" };
+  for(const k of ["subType","maxLength","title","remarks","searchType","persistent","domainid"]) if(p[k]!==undefined) a[k] = p[k];
+  if(required.has(name)) a.required = true;
+  return a;
+}
+
+// /jsonschemas/<os> -> attributes, key and child objects; children are array/object properties.
+function summarizeSchema(os, js){
+  const props = (js.properties && typeof js.properties==="object") ? js.properties : {};
+  const required = new Set(Array.isArray(js.required) ? js.required.map(x=>String(x).toLowerCase()) : []);
+  const attributes = [], children = [];
+  for(const [name,p] of Object.entries(props)){
+    if(!p || typeof p!=="object" || name==="href" || name.startsWith("_") || name.startsWith("localref")) continue;
+    if(p.type==="array" || p.type==="object"){
+      children.push({ name, cardinality: p.type==="array" ? "many" : "one", objectName: p.items?.objectName || p.objectName || p.items?.title || p.title || name });
+    }else attributes.push(schemaAttribute(name, p, required));
+  }
+  return { os, source:"jsonschema", objectName: js.title || js.resource || os.toUpperCase(), key: Array.isArray(js.pk) ? js.pk : [], attributes, children };
+}
+
+// Fallback when /jsonschemas is unavailable: infer types from one record.
+function inferSchema(os, rec){
+  const attributes = [], children = [];
+  for(const [name,v] of Object.entries(rec||{})){
+    if(name==="href" || name.startsWith("_") || name.startsWith("localref")) continue;
+    if(v && typeof v==="object") children.push({ name, cardinality: Array.isArray(v) ? "many" : "one", objectName: name });
+    else attributes.push({ name, type: typeof v==="number" ? (Number.isInteger(v) ? "integer" : "number") : typeof v==="boolean" ? "boolean" : "string" });
+  }
+  return { os, source:"sample", note:"Inferred from one record: empty attributes are missing and types are approximate.", key:[], attributes, children };
+}
+
+async function describeOS(tenant, os){
+  const url = `${tenant.apiBase}/jsonschemas/${encodeURIComponent(os)}`;
+  const r = await maximoFetch(tenant, url,{ headers:{ accept:"application/json" }});
+  if(r.ok && r.json?.properties) return { ...summarizeSchema(os, r.json), url };
+  const sampleUrl = `${tenant.apiBase}/os/${encodeURIComponent(os)}?oslc.select=*&oslc.pageSize=1`;
+  const s = await maximoFetch(tenant, sampleUrl,{ headers:{ accept:"application/json" }});
+  if(!s.ok || !s.json) return { error:"maximo_failed", status:s.status, detail:s.text.slice(0,600), url:sampleUrl };
+  const member = s.json.member || s.json["rdfs:member"] || [];
+  if(!member.length) return { error:"schema_unavailable", status:404, detail:`No jsonschema for ${os} (HTTP ${r.status}) and no record to sample.`, url };
+  return { ...inferSchema(os, member[0]), url:sampleUrl };
+}
+
+const DOMAIN_SELECT = "domainid,domaintype,description,maxtype,alndomain{value,description},synonymdomain{value,maxvalue,description,defaults},numericdomain{value,description}";
+
+async function getDomain(tenant, domainid){
+  const params = new URLSearchParams({ "oslc.where":`domainid=${oslcQuote(domainid)}`, "oslc.select":DOMAIN_SELECT, "oslc.pageSize":"1" });
+  const url = `${tenant.apiBase}/os/mxapidomain?${params.toString()}`;
+  const r = await maximoFetch(tenant, url,{ headers:{ accept:"application/json" }});
+  if(!r.ok || !r.json) return { error:"maximo_failed", status:r.status, detail:r.text.slice(0,600), url };
+  const d = (r.json.member || r.json["rdfs:member"] || [])[0];
+  if(!d) return { error:"domain_not_found", status:404, detail:`No domain ${domainid}`, url };
+  const rows = d.synonymdomain || d.alndomain || d.numericdomain || [];
+  const values = rows.map(v=>({ value:v.value, ...(v.maxvalue!==undefined ? { maxvalue:v.maxvalue } : {}), description:v.description ?? "", ...(v.defaults ? { default:true } : {}) }));
+  return { domainid: d.domainid || domainid, domaintype: d.domaintype || null, description: d.description || "", maxtype: d.maxtype || null, values, url };
+}
+
+/* ---------------- Query builder and guardrails ---------------- */
+const FILTER_OPS = new Set(["=","!=",">",">=","<","<=","like","starts","ends","in","null","notnull"]);
+const FILTER_MAX_CONDITIONS = 50;
+const FIELD_RE = /^[a-zA-Z][a-zA-Z0-9_]*(\.[a-zA-Z][a-zA-Z0-9_]*)*$/;
+
+function oslcValue(v){
+  if(typeof v==="number" && Number.isFinite(v)) return String(v);
+  if(typeof v==="boolean") return v ? "1" : "0";
+  return oslcQuote(v);
+}
+
+// Filter tree -> OSLC where. Errors name the offending path so the model can fix that part.
+function compileFilter(node, at="filter", acc={ count:0, fields:new Set() }){
+  if(Array.isArray(node)) node = { and: node };
+  if(!node || typeof node!=="object") return { error:`${at} must be an object: { field, op, value } or { and:[...] } / { or:[...] }` };
+
+  if(Array.isArray(node.and) || Array.isArray(node.or)){
+    const isOr = Array.isArray(node.or);
+    const items = isOr ? node.or : node.and;
+    if(!items.length) return { error:`${at}.${isOr?"or":"and"} is empty` };
+    if(isOr){
+      // OSLC where has no general OR; same-field equality becomes "in"
+      const field = items[0]?.field;
+      if(!items.every(c=>c && typeof c==="object" && c.field===field && (c.op===undefined || c.op==="=" || c.op==="in")))
+        return { error:`${at}.or: OSLC where has no general OR. An or-group may only compare one field with "=" (it becomes field in [...]). Use { field, op:"in", value:[...] }, or run separate queries.` };
+      const values = items.flatMap(c=>c.op==="in" ? (Array.isArray(c.value) ? c.value : [c.value]) : [c.value]);
+      return compileFilter({ field, op:"in", value:values }, `${at}.or`, acc);
+    }
+    const parts = [];
+    for(let i=0;i<items.length;i++){
+      const r = compileFilter(items[i], `${at}.and[${i}]`, acc);
+      if(r.error) return r;
+      parts.push(r.where);
+    }
+    return { where: parts.join(" and "), fields: acc.fields };
+  }
+
+  if(++acc.count > FILTER_MAX_CONDITIONS) return { error:`filter has more than ${FILTER_MAX_CONDITIONS} conditions; narrow it down` };
+  const field = String(node.field||"").trim().toLowerCase();
+  const op = String(node.op ?? "=").trim().toLowerCase();
+  const v = node.value;
+  if(!FIELD_RE.test(field)) return { error:`${at}.field "${node.field??""}" is not an attribute name (letters, digits, _; child attributes as child.attr)` };
+  if(!FILTER_OPS.has(op)) return { error:`${at}.op "${node.op}" is not supported; use one of ${[...FILTER_OPS].join(" ")}` };
+  acc.fields.add(field);
+  if(op==="null") return { where:`${field}!="*"`, fields: acc.fields };
+  if(op==="notnull") return { where:`${field}="*"`, fields: acc.fields };
+  if(op==="in"){
+    const list = Array.isArray(v) ? v : String(v??"").split(",").map(x=>x.trim()).filter(Boolean);
+    if(!list.length) return { error:`${at}: op "in" needs a non-empty array value` };
+    return { where:`${field} in [${list.map(oslcValue).join(",")}]`, fields: acc.fields };
+  }
+  if(v===undefined || v===null || (typeof v==="object")) return { error:`${at}: op "${op}" on ${field} needs a string or number value (use op "null" to match empty)` };
+  const sv = String(v).replace(/"/g,'\\"');
+  if(op==="like") return { where:`${field}="%${sv}%"`, fields: acc.fields };
+  if(op==="starts") return { where:`${field}="${sv}%"`, fields: acc.fields };
+  if(op==="ends") return { where:`${field}="%${sv}"`, fields: acc.fields };
+  return { where:`${field}${op}${oslcValue(v)}`, fields: acc.fields };
+}
+
+// Top-level attribute names of an oslc.select / oslc.orderBy list (child selections like asset{...} keep only "asset").
+function attributeNames(list){
+  let t = String(list||"");
+  while(/\{[^{}]*\}/.test(t)) t = t.replace(/\{[^{}]*\}/g,"");
+  return t.split(",").map(x=>x.trim().replace(/^[+-]/,"").toLowerCase()).filter(x=>x && x!=="*" && !x.includes(":") && !x.startsWith("rel."));
+}
+
+// Unknown names against the cached schema; skipped when only a sampled schema is available.
+async function checkFields(tenant, os, names){
+  if(!names.length) return { checked:false };
+  const schema = await cachedMetadata(tenant, "schema", os, false, ()=>describeOS(tenant, os));
+  if(schema.error || schema.source!=="jsonschema") return { checked:false };
+  const known = new Set([...schema.attributes.map(a=>a.name.toLowerCase()), ...schema.children.map(c=>c.name.toLowerCase())]);
+  const unknown = [...new Set(names)].filter(n=>!known.has(n.split(".")[0]));
+  if(!unknown.length) return { checked:true };
+  const hints = unknown.map(n=>{
+    const stem = n.split(".")[0].slice(0,4);
+    const close = [...known].filter(k=>k.includes(n.split(".")[0]) || k.startsWith(stem)).slice(0,8);
+    return `${n}${close.length ? ` (did you mean ${close.join(", ")}?)` : ""}`;
+  });
+  return { error:"unknown_field", status:400, detail:`${os} has no attribute ${hints.join("; ")}. Call maximo.describeOS for the attribute list.` };
+}
+
+function osDenied(tenant, os){
+  return tenant.guardrails.deniedOS.includes(String(os||"").trim().toLowerCase());
+}
+
+// Where clause with the tenant's forced site/org; also the silent-site default when nothing else filters.
+function guardedWhere(tenant, where){
+  const g = tenant.guardrails, parts = [], applied = [];
+  if(g.forceSite && tenant.site){ parts.push(`siteid=${oslcQuote(tenant.site)}`); applied.push(`siteid=${oslcQuote(tenant.site)} (tenant forces its site)`); }
+  if(g.forceOrg && tenant.org){ parts.push(`orgid=${oslcQuote(tenant.org)}`); applied.push(`orgid=${oslcQuote(tenant.org)} (tenant forces its org)`); }
+  if(where) parts.push(where);
+  else if(!parts.length && tenant.site){ parts.push(`siteid=${oslcQuote(tenant.site)}`); applied.push(`siteid=${oslcQuote(tenant.site)} (default: no filter given)`); }
+  return { where: parts.join(" and "), applied, forced: parts.slice(0, (g.forceSite && tenant.site ? 1 : 0) + (g.forceOrg && tenant.org ? 1 : 0)) };
+}
+
+function guardedPageSize(tenant, size){
+  const max = tenant.guardrails.maxPageSize;
+  const n = Math.floor(Number(size));
+  if(!(n>0)) return { pageSize:Math.min(DEFAULT_PAGE_SIZE, max), applied:[] };
+  return n>max ? { pageSize:max, applied:[`pageSize ${n} capped at ${max}`] } : { pageSize:n, applied:[] };
+}
+
+// queryOS arguments -> checked OSLC query { os, where, select, orderBy, pageSize, pageno } plus the guardrails applied.
+async function buildQuery(tenant, os, args){
+  const p = (args.params && typeof args.params==="object") ? args.params : {};
+  let where = String(p["oslc.where"] || "").trim();
+  let fields = [];
+  if(args.filter!==undefined){
+    const f = compileFilter(args.filter);
+    if(f.error) return { error:"invalid_filter", status:400, detail:f.error };
+    where = [f.where, where].filter(Boolean).join(" and ");
+    fields = [...f.fields];
+  }
+  const select = Array.isArray(args.select) ? args.select.map(x=>String(x).trim()).filter(Boolean).join(",") : String(p["oslc.select"] || "").trim();
+  const orderBy = String(args.orderBy ?? p["oslc.orderBy"] ?? "").trim();
+  const check = await checkFields(tenant, os, [...fields, ...attributeNames(select), ...attributeNames(orderBy)]);
+  if(check.error) return check;
+  const w = guardedWhere(tenant, where);
+  const ps = guardedPageSize(tenant, args.pageSize ?? p["oslc.pageSize"]);
+  return {
+    q:{ os, where:w.where, select, orderBy, pageSize:ps.pageSize, pageno: Math.max(1, Math.floor(Number(args.pageno)) || 1) },
+    applied:[...w.applied, ...ps.applied], schemaChecked: check.checked
+  };
+}
+
+// A cursor is model-supplied: re-apply forced filters and the page size cap.
+function guardCursor(tenant, q){
+  const forced = guardedWhere(tenant, "").forced.join(" and ");
+  const where = String(q.where||"");
+  if(forced && where!==forced && !where.startsWith(`${forced} and `)) return null;
+  return { ...q, pageSize: guardedPageSize(tenant, q.pageSize).pageSize };
+}
+
+const WRITE_TOOLS = new Set(["maximo.createRecord","maximo.updateRecord","maximo.changeStatus"]);
+
+// Build the OSLC write request for a write tool without sending it.
+async function prepareWrite(tenant, name, args){
+  const os = String(args.os||"").trim();
+  if(!os) return { error:"missing_os" };
+  const headers = { accept:"application/json", "content-type":"application/json", properties: String(args.properties||"*") };
+
+  for(const [attr, forced, val] of [["siteid", tenant.guardrails.forceSite, tenant.site], ["orgid", tenant.guardrails.forceOrg, tenant.org]]){
+    const v = args.data?.[attr] ?? args.key?.[attr];
+    if(forced && val && v!=null && String(v).toUpperCase()!==val) return { error:`${attr}_not_allowed`, detail:`Tenant ${tenant.id} only allows ${attr} ${val}; omit ${attr} or use ${val}.` };
+  }
+
+  if(name==="maximo.createRecord"){
+    if(!args.data || typeof args.data!=="object") return { error:"missing_data" };
+    return { os, url:`${tenant.apiBase}/os/${encodeURIComponent(os)}`, headers, body: withTenantDefaults(tenant, args.data) };
+  }
+
+  const isStatus = name==="maximo.changeStatus";
+  if(isStatus && !String(args.status||"").trim()) return { error:"missing_status" };
+  if(!isStatus && (!args.data || typeof args.data!=="object")) return { error:"missing_data" };
+  const ref = await resolveRecordUrl(tenant, os, args);
+  if(ref.error) return ref;
+  headers["x-method-override"] = "PATCH";
+  if(!isStatus) headers.patchtype = "MERGE";
+  return {
+    os, recordUrl: ref.url, headers,
+    url: isStatus ? `${ref.url}?action=wsmethod:changeStatus` : ref.url,
+    body: isStatus
+      ? { status:String(args.status).trim().toUpperCase(), ...(args.memo ? { memo:String(args.memo) } : {}) }
+      : args.data
+  };
+}
+
+// Field-level before/after of a prepared write; "before" is read from Maximo for existing records.
+async function previewWrite(tenant, w){
+  const fields = Object.keys(w.body||{}).filter(k=>k!=="memo");
+  let before = {};
+  if(w.recordUrl && fields.length){
+    const r = await maximoFetch(tenant, `${w.recordUrl}?oslc.select=${encodeURIComponent(fields.join(","))}`,{ headers:{ accept:"application/json" }});
+    if(r.ok && r.json) before = r.json;
+  }
+  return fields.map(f=>({ field:f, before: before[f] ?? null, after: w.body[f] }));
+}
+
+// Shared by POST /mcp/call and MCP tools/call; returns { status, body } with the REST response shape.
+async function callTool({ name, args, tenantId, dryRun, caller }){
+  const reply = (status, body)=>({ status, body });
+  name = String(name||"").trim();
+  args = (args && typeof args==="object") ? args : {};
+
+  const settings = await loadSettings();
+  const tenant = resolveTenant(settings, tenantId);
+
+  if(!name) return reply(400,{ error:"missing_tool_name" });
+  if(!tenantInScope(caller, tenant.id)) return reply(403,{ error:"tenant_forbidden", detail:`The caller may not use tenant ${tenant.id}.` });
+  if(!tenant.apiBase) return reply(400,{ error:"missing_maximo_config", detail:"MAXIMO_URL must be provided (secret/env) or a tenant maximoBaseUrl in settings.json." });
+  tenant.creds = await tenantCredentials(tenant);
+  if(tenant.creds.error) return reply(400,{ error:"missing_maximo_credentials", detail:tenant.creds.error });
+
+  if(args.os && osDenied(tenant, args.os)) return reply(403,{ error:"os_denied", detail:`Object structure ${args.os} is not allowed for tenant ${tenant.id}. Do not retry it; answer from other object structures or tell the user.` });
+  if(dryRun && !WRITE_TOOLS.has(name)) return reply(400,{ error:"dry_run_not_supported", detail:`${name} is read-only; call it without dryRun.` });
+
+  if(name==="maximo.listOS"){
+    const url = `${tenant.apiBase}/os`;
+    const r = await cachedRead(tenant, url,{ os:"listOS", refresh:args.refresh===true });
+    if(!r.ok || !r.json) return reply(r.status||500,{ error:"maximo_failed", detail:r.text.slice(0,600), url });
+    return reply(200,{ ok:true, tenant:tenant.id, list:r.json, cached:r.cached, ageSeconds:r.ageSeconds, trace:{ request:{ method:"GET", url, headers:redactedAuth(tenant) }}});
+  }
+
+  if(name==="maximo.queryOS"){
+    const os = String(args.os||"").trim().toLowerCase();
+    if(!os) return reply(400,{ error:"missing_os" });
+
+    let q, applied = [], schemaChecked = false;
+    if(args.cursor){
+      const c = decodeCursor(args.cursor);
+      q = c && c.os===os && c.tenant===tenant.id ? guardCursor(tenant, c) : null;
+      if(!q) return reply(400,{ error:"invalid_cursor", detail:"cursor must be an unmodified nextCursor returned by maximo.queryOS for the same os and tenant." });
+    }else{
+      const b = await buildQuery(tenant, os, args);
+      if(b.error){ const { status, ...err } = b; return reply(status||400, err); }
+      ({ q, applied, schemaChecked } = b);
+    }
+
+    const url = oslcQueryUrl(tenant, q);
+    const r = await cachedRead(tenant, url,{ os, refresh:args.refresh===true });
+    if(!r.ok || !r.json) return reply(r.status||500,{ error:"maximo_failed", detail:r.text.slice(0,800), url, query:q });
+
+    const info = r.json.responseInfo || {};
+    const nextCursor = info.nextPage ? encodeCursor({ ...q, tenant:tenant.id, pageno:q.pageno+1 }) : null;
+    return reply(200,{ ok:true, tenant:tenant.id, os, data:r.json, pageno:q.pageno, totalCount: info.totalCount ?? null, nextCursor,
+      query:{ where:q.where, select:q.select, orderBy:q.orderBy, pageSize:q.pageSize }, guardrails:applied, schemaChecked,
+      cached:r.cached, ageSeconds:r.ageSeconds, trace:{ request:{ method:"GET", url, headers:redactedAuth(tenant)}}});
+  }
+
+  if(name==="maximo.aggregateOS"){
+    const os = String(args.os||"").trim().toLowerCase();
+    if(!os) return reply(400,{ error:"missing_os" });
+    const out = await aggregateOS(tenant, os, args);
+    if(out.error){ const { status, ...err } = out; return reply(status||400, err); }
+    const { url, ...agg } = out;
+    return reply(200,{ ok:true, tenant:tenant.id, os, ...agg, trace:{ request:{ method:"GET", url, headers:redactedAuth(tenant) }}});
+  }
+
+  if(name==="maximo.describeOS" || name==="maximo.getDomain"){
+    const isSchema = name==="maximo.describeOS";
+    const id = String(isSchema ? args.os||"" : args.domainid||"").trim();
+    if(!id) return reply(400,{ error: isSchema ? "missing_os" : "missing_domainid" });
+    const norm = isSchema ? id.toLowerCase() : id.toUpperCase();
+    const out = await cachedMetadata(tenant, isSchema ? "schema" : "domain", norm, args.refresh===true, ()=> isSchema ? describeOS(tenant, norm) : getDomain(tenant, norm));
+    if(out.error) return reply(out.status||500, out);
+    const { url, ...meta } = out;
+    if(isSchema && args.search){
+      const q = String(args.search).toLowerCase();
+      meta.attributes = meta.attributes.filter(a=>a.name.toLowerCase().includes(q) || String(a.title||"").toLowerCase().includes(q));
+    }
+    return reply(200,{ ok:true, tenant:tenant.id, ...meta, ...(meta.cached ? {} : { trace:{ request:{ method:"GET", url, headers:redactedAuth(tenant) }}}) });
+  }
+
+  if(WRITE_TOOLS.has(name)){
+    const w = await prepareWrite(tenant, name, args);
+    if(w.error) return reply(w.status||400, w);
+    const trace = { request:{ method:"POST", url:w.url, headers:{ ...redactedAuth(tenant), ...(w.headers["x-method-override"] ? { "x-method-override":"PATCH" } : {}) }, body:w.body }};
+    if(dryRun){
+      const diff = await previewWrite(tenant, w);
+      return reply(200,{ ok:true, dryRun:true, tenant:tenant.id, os:w.os, diff, trace });
+    }
+    const r = await maximoFetch(tenant, w.url,{ method:"POST", headers:w.headers, body: JSON.stringify(w.body) });
+    if(!r.ok) return reply(r.status||500,{ error:"maximo_failed", detail:r.text.slice(0,800), url:w.url });
+    invalidateReads(tenant, w.os);
+    return reply(200,{ ok:true, tenant:tenant.id, os:w.os, record:r.json, trace });
+  }
 
-      if(name==="maximo.queryOS"){
-        const os = String(args.os||"").trim();
-        const paramsIn = (args.params && typeof args.params==="object") ? args.params : {};
-        if(!os) return json(res,400,{ error:"missing_os" });
+  return reply(404,{ error:"unknown_tool", name });
+}
 
-        const params = new URLSearchParams();
-        const where = String(paramsIn["oslc.where"] || "").trim() || (tenant.site ? `siteid="${tenant.site}"` : "");
-        const select = String(paramsIn["oslc.select"] || "").trim();
-        const orderBy = String(paramsIn["oslc.orderBy"] || "").trim();
-        const pageSize = String(paramsIn["oslc.pageSize"] || "").trim();
+/* ---------------- Aggregation ---------------- */
+// maximo.aggregateOS scans every page of a query here and hands the model a few groups (plus a chart
+// the app draws) instead of thousands of rows. Only the grouped attribute and the measured field are selected.
+const AGGREGATE_MAX_ROWS = Math.max(Number(process.env.MCP_AGGREGATE_MAX_ROWS) || 20000, 100);
+const AGGREGATE_FUNCTIONS = ["count","sum","avg","min","max"];
+const AGGREGATE_INTERVALS = { day:10, month:7, year:4 }; // ISO date prefix length per bucket
+const AGGREGATE_MAX_GROUPS = 50;
+const CHART_TYPES = ["bar","pie","line"];
 
-        if(where) params.set("oslc.where", where);
-        if(select) params.set("oslc.select", select);
-        if(orderBy) params.set("oslc.orderBy", orderBy);
-        if(pageSize) params.set("oslc.pageSize", pageSize);
+function aggregateKey(v, interval){
+  if(v===null || v===undefined || v==="") return "(none)";
+  if(interval) return String(v).slice(0, AGGREGATE_INTERVALS[interval]);
+  return typeof v==="object" ? JSON.stringify(v) : String(v);
+}
+
+function aggregateValue(g, fn){
+  if(fn==="count") return g.count;
+  if(!g.n) return null;
+  if(fn==="avg") return Math.round(g.sum/g.n*100)/100;
+  return fn==="sum" ? Math.round(g.sum*100)/100 : g[fn];
+}
 
-        const url = `${tenant.apiBase}/os/${encodeURIComponent(os)}?${params.toString()}`;
-        const r = await fetchJson(url,{ headers:{ accept:"application/json", apikey: tenant.apiKey }});
-        if(!r.ok || !r.json) return json(res,r.status||500,{ error:"maximo_failed", detail:r.text.slice(0,800), url });
+async function aggregateOS(tenant, os, args){
+  const groupBy = String(args.groupBy||"").trim().toLowerCase();
+  if(!/^[a-z0-9_]+$/.test(groupBy)) return { error:"invalid_group_by", status:400, detail:"groupBy must be one attribute, e.g. status, siteid, assettype, or changedate with an interval." };
+  const interval = String(args.interval||"").trim().toLowerCase();
+  if(interval && !AGGREGATE_INTERVALS[interval]) return { error:"invalid_interval", status:400, detail:"interval must be day, month or year." };
+  const fn = String(args.aggregate||"count").trim().toLowerCase();
+  if(!AGGREGATE_FUNCTIONS.includes(fn)) return { error:"invalid_aggregate", status:400, detail:`aggregate must be one of ${AGGREGATE_FUNCTIONS.join(", ")}.` };
+  const field = String(args.field||"").trim().toLowerCase();
+  if(fn!=="count" && !/^[a-z0-9_]+$/.test(field)) return { error:"missing_field", status:400, detail:`${fn} needs a numeric field, e.g. estdur or actlabcost.` };
+  const chart = String(args.chart || (interval ? "line" : "bar")).toLowerCase();
+  if(!CHART_TYPES.includes(chart)) return { error:"invalid_chart", status:400, detail:`chart must be one of ${CHART_TYPES.join(", ")}.` };
 
-        return json(res,200,{ ok:true, tenant:tenant.id, os, data:r.json, trace:{ request:{ method:"GET", url, headers:{ apikey:"***" }}}});
+  const b = await buildQuery(tenant, os, { filter:args.filter, params:args.params, select:[groupBy, ...(fn!=="count" && field!==groupBy ? [field] : [])], pageSize:tenant.guardrails.maxPageSize });
+  if(b.error) return b;
+  const maxRows = Math.min(Math.max(Math.floor(Number(args.maxRows)) || AGGREGATE_MAX_ROWS, 1), AGGREGATE_MAX_ROWS);
+  const groups = new Map();
+  let q = b.q, url = "", scanned = 0, totalCount = null, hasNext = false, cut = false;
+  for(;;){
+    url = oslcQueryUrl(tenant, q);
+    // page scans go straight to Maximo: caching up to AGGREGATE_MAX_ROWS rows would flush every other entry
+    const r = await maximoFetch(tenant, url,{ headers:{ accept:"application/json" }});
+    if(!r.ok || !r.json) return { error:"maximo_failed", status:r.status||500, detail:r.text.slice(0,800), url };
+    const member = r.json.member || r.json["rdfs:member"] || [];
+    if(member.length>maxRows-scanned) cut = true;
+    for(const row of member.slice(0, maxRows-scanned)){
+      const key = aggregateKey(row?.[groupBy], interval);
+      const g = groups.get(key) || { key, count:0, n:0, sum:0, min:null, max:null };
+      g.count++;
+      const x = Number(row?.[field]);
+      if(fn!=="count" && row?.[field]!=null && row[field]!=="" && Number.isFinite(x)){
+        g.n++; g.sum += x;
+        g.min = g.min===null ? x : Math.min(g.min, x);
+        g.max = g.max===null ? x : Math.max(g.max, x);
       }
+      groups.set(key, g);
+    }
+    scanned = Math.min(scanned + member.length, maxRows);
+    totalCount = r.json.responseInfo?.totalCount ?? totalCount;
+    hasNext = !!r.json.responseInfo?.nextPage;
+    if(!hasNext || !member.length || scanned>=maxRows) break;
+    q = { ...q, pageno:q.pageno+1 };
+  }
+
+  // time buckets in date order; categories largest first, the tail folded into "(other)"
+  let list = [...groups.values()];
+  if(interval) list.sort((a,b)=>a.key==="(none)" ? 1 : b.key==="(none)" ? -1 : a.key.localeCompare(b.key));
+  else {
+    list.sort((a,b)=>(aggregateValue(b, fn)??-Infinity) - (aggregateValue(a, fn)??-Infinity));
+    const limit = Math.min(Math.max(Math.floor(Number(args.limit)) || 20, 1), AGGREGATE_MAX_GROUPS);
+    if(list.length>limit){
+      const other = list.slice(limit).reduce((o,g)=>({ ...o, count:o.count+g.count, n:o.n+g.n, sum:o.sum+g.sum,
+        min: g.min===null ? o.min : o.min===null ? g.min : Math.min(o.min, g.min), max: g.max===null ? o.max : o.max===null ? g.max : Math.max(o.max, g.max) }),
+        { key:"(other)", count:0, n:0, sum:0, min:null, max:null });
+      list = [...list.slice(0, limit), other];
+    }
+  }
+  const series = list.map(g=>({ label:g.key, value:aggregateValue(g, fn), count:g.count }));
+  const measure = fn==="count" ? "count" : `${fn}(${field})`;
+  const by = interval ? `${groupBy} per ${interval}` : groupBy;
+  return {
+    groupBy, interval: interval || null, aggregate:fn, field: fn==="count" ? null : field, groups: series,
+    rowsScanned: scanned, totalCount, truncated: cut || (hasNext && scanned>=maxRows),
+    query:{ where:q.where, select:q.select }, guardrails:b.applied,
+    visualization:{ type:chart, title: String(args.title || `${os}: ${measure} by ${by}`).slice(0,200), x:{ label:by }, y:{ label:measure }, series },
+    url
+  };
+}
+
+/* ---------------- Service authentication ---------------- */
+// MCP_SERVICE_KEYS="id:secret[:tenant|tenant],..." lists every accepted key, so a key rotates by adding the
+// new one, switching the app's MCP_SERVICE_KEY and then dropping the old one. A key without tenants may use
+// all of them. Callers sign each request (HMAC, see signingString) or send "Authorization: Bearer <secret>".
+// Without keys every call is refused, unless MCP_ALLOW_UNSIGNED=true (local development) opens the server.
+const KEY_PLACEHOLDER = "REPLACE_ME"; // the shipped secret's value; never accepted
+const SERVICE_KEYS = parseServiceKeys(process.env.MCP_SERVICE_KEYS);
+const ALLOW_UNSIGNED = String(process.env.MCP_ALLOW_UNSIGNED||"").toLowerCase()==="true";
+const SIGNATURE_MAX_SKEW_S = 300;
+const seenNonces = new Map(); // nonce -> expiry, replay guard within the skew window
+const OPEN_SCOPE = { keyId:"", user:"", tenants:["*"] };
+
+function parseServiceKeys(v){
+  return String(v||"").split(",").map(x=>x.trim()).filter(Boolean).map(x=>{
+    const [id, secret, tenants] = x.split(":");
+    return { id, secret:String(secret||""), tenants: tenants ? tenants.split("|").map(t=>t.trim()).filter(Boolean) : ["*"] };
+  }).filter(k=>k.id && k.secret.length>=16 && !k.secret.startsWith(KEY_PLACEHOLDER));
+}
+
+// The app signs the user and tenant scope too, so neither can be swapped in transit
+function signingString({ method, path, ts, nonce, body, user, tenants }){
+  return [method, path, ts, nonce, crypto.createHash("sha256").update(body||"").digest("hex"), user, tenants].join("\n");
+}
+
+function intersectScope(a, b){
+  if(a.includes("*")) return b;
+  if(b.includes("*")) return a;
+  return a.filter(t=>b.includes(t));
+}
+
+// -> caller { keyId, user, tenants } or { error }. The key's tenants are narrowed by x-agent-tenants (the
+// signed-in user's scope in the app) when the caller sends it.
+function authenticateService(req, u, body){
+  if(!SERVICE_KEYS.length){
+    if(ALLOW_UNSIGNED) return { ...OPEN_SCOPE, user:String(req.headers["x-agent-user"]||"") };
+    return { error:"no_service_keys", detail:"MCP_SERVICE_KEYS is not set on the MCP server, so every call is refused. Generate a key pair (README \"App ↔ MCP service authentication\") or set MCP_ALLOW_UNSIGNED=true for local development." };
+  }
+  const user = String(req.headers["x-agent-user"]||"");
+  const scoped = (key)=>{
+    const asked = req.headers["x-agent-tenants"]!==undefined ? String(req.headers["x-agent-tenants"]).split(",").map(t=>t.trim()).filter(Boolean) : ["*"];
+    return { keyId:key.id, user, tenants: intersectScope(key.tenants, asked) };
+  };
+  const bearer = String(req.headers.authorization||"").match(/^Bearer\s+(.+)$/i);
+  if(bearer){
+    const key = SERVICE_KEYS.find(k=>safeEqual(k.secret, bearer[1].trim()));
+    return key ? scoped(key) : { error:"invalid_token" };
+  }
+  const keyId = String(req.headers["x-mcp-key-id"]||""), ts = String(req.headers["x-mcp-timestamp"]||""), nonce = String(req.headers["x-mcp-nonce"]||"");
+  const sig = String(req.headers["x-mcp-signature"]||"");
+  if(!keyId || !sig) return { error:"missing_credentials" };
+  const key = SERVICE_KEYS.find(k=>k.id===keyId);
+  if(!key) return { error:"unknown_key" };
+  if(!(Math.abs(Date.now()/1000 - Number(ts)) <= SIGNATURE_MAX_SKEW_S)) return { error:"stale_signature" };
+  if(nonce.length<16 || seenNonces.has(nonce)) return { error:"replayed_request" };
+  const want = crypto.createHmac("sha256", key.secret).update(signingString({ method:req.method, path:u.pathname+u.search, ts, nonce, body, user, tenants:String(req.headers["x-agent-tenants"]??"") })).digest("hex");
+  if(!safeEqual(want, sig)) return { error:"bad_signature" };
+  const now = Date.now();
+  for(const [n,exp] of seenNonces) if(exp<now) seenNonces.delete(n);
+  seenNonces.set(nonce, now + 2*SIGNATURE_MAX_SKEW_S*1000);
+  return scoped(key);
+}
+
+function tenantInScope(caller, id){
+  return !caller || caller.tenants.includes("*") || caller.tenants.includes(String(id));
+}
+
+/* ---------------- Audit log ---------------- */
+// Append-only JSON lines on the PVC: one entry per tool call with caller, conversation, prompt, tenant,
+// sanitized args, Maximo URL, status, row count and duration. The file rotates at AUDIT_MAX_BYTES into
+// audit-<timestamp>.jsonl (AUDIT_MAX_FILES > 0 prunes the oldest). With AUDIT_HASH_CHAIN=true every entry
+// carries prevHash and hash = sha256(prevHash + entry), so edits and deletions show up in /mcp/audit/verify.
+// An entry that starts a chain (empty log, or the chain was off for the entries before it) carries chainStart.
+const AUDIT_DIR = process.env.AUDIT_DIR || path.join(SETTINGS_DIR, "audit");
+const AUDIT_FILE = path.join(AUDIT_DIR, "audit.jsonl");
+const AUDIT_MAX_BYTES = Math.max(Number(process.env.AUDIT_MAX_BYTES) || 10_000_000, 10_000);
+const AUDIT_MAX_FILES = Math.max(Number(process.env.AUDIT_MAX_FILES) || 0, 0);
+const AUDIT_HASH_CHAIN = String(process.env.AUDIT_HASH_CHAIN||"").toLowerCase()==="true";
+const AUDIT_QUERY_MAX = 10000;
+const AUDIT_SECRET_KEYS = /pass|secret|token|apikey|api_key|maxauth|authorization|cookie/i;
+const AUDIT_STRING_CHARS = 500;
+let auditWrites = Promise.resolve();
+let auditBytes = null; // size of the current file, read on first write
+let auditLastHash = null;
+
+function sanitizeAuditValue(v, depth=0){
+  if(typeof v==="string") return v.length>AUDIT_STRING_CHARS ? `${v.slice(0,AUDIT_STRING_CHARS)}… [${v.length} chars]` : v;
+  if(!v || typeof v!=="object") return v;
+  if(depth>4) return "[nested]";
+  if(Array.isArray(v)) return v.slice(0,50).map(x=>sanitizeAuditValue(x, depth+1));
+  return Object.fromEntries(Object.entries(v).map(([k,x])=>[k, AUDIT_SECRET_KEYS.test(k) ? "***" : sanitizeAuditValue(x, depth+1)]));
+}
+
+function auditRowCount(body){
+  if(!body || typeof body!=="object") return null;
+  if(Array.isArray(body.data?.member)) return body.data.member.length;
+  if(Array.isArray(body.list?.member)) return body.list.member.length;
+  if(typeof body.rowsScanned==="number") return body.rowsScanned;
+  if(Array.isArray(body.attributes)) return body.attributes.length;
+  if(Array.isArray(body.values)) return body.values.length;
+  if(body.record || body.diff) return 1;
+  return null;
+}
+
+async function auditFiles(){
+  let names = [];
+  try{ names = await readdir(AUDIT_DIR); }catch{ return []; }
+  // rotated files sort by their timestamp; the current file is the newest
+  const rotated = names.filter(n=>/^audit-.+\.jsonl$/.test(n)).sort();
+  return [...rotated, ...(names.includes("audit.jsonl") ? ["audit.jsonl"] : [])].map(n=>path.join(AUDIT_DIR, n));
+}
+
+async function lastAuditHash(){
+  const files = await auditFiles();
+  for(const f of files.reverse()){
+    const lines = (await readFile(f, "utf-8").catch(()=>"")).split("\n").filter(Boolean);
+    if(!lines.length) continue;
+    try{ return JSON.parse(lines[lines.length-1]).hash || ""; }catch{ return ""; }
+  }
+  return "";
+}
+
+async function rotateAudit(){
+  await rename(AUDIT_FILE, path.join(AUDIT_DIR, `audit-${new Date().toISOString().replace(/[:.]/g,"-")}.jsonl`));
+  auditBytes = 0;
+  if(AUDIT_MAX_FILES>0){
+    const rotated = (await auditFiles()).filter(f=>path.basename(f)!=="audit.jsonl");
+    for(const f of rotated.slice(0, Math.max(rotated.length-AUDIT_MAX_FILES, 0))) await unlink(f).catch(()=>{});
+  }
+}
+
+function writeAudit(entry){
+  auditWrites = auditWrites.then(async ()=>{
+    await mkdir(AUDIT_DIR, { recursive:true });
+    if(auditBytes===null) auditBytes = await stat(AUDIT_FILE).then(s=>s.size).catch(()=>0);
+    if(AUDIT_HASH_CHAIN){
+      if(auditLastHash===null) auditLastHash = await lastAuditHash();
+      entry.prevHash = auditLastHash;
+      if(!auditLastHash) entry.chainStart = true;
+      entry.hash = crypto.createHash("sha256").update(auditLastHash + JSON.stringify(entry)).digest("hex");
+      auditLastHash = entry.hash;
+    }
+    const line = JSON.stringify(entry) + "\n";
+    if(auditBytes>0 && auditBytes + Buffer.byteLength(line) > AUDIT_MAX_BYTES) await rotateAudit();
+    await appendFile(AUDIT_FILE, line, "utf-8");
+    auditBytes += Buffer.byteLength(line);
+  }).catch(err=>console.error(`audit write failed: ${err?.message||err}`));
+  return auditWrites;
+}
+
+// One entry per tool call; context is what the app sent along (conversation id and the user's prompt)
+function auditToolCall({ requestId, caller, name, args, tenant, dryRun, context, result, durationMs, transport }){
+  const body = result.body || {};
+  const request = body.trace?.request || {};
+  const ctx = (context && typeof context==="object") ? context : {};
+  return writeAudit({
+    ts: new Date().toISOString(), requestId: String(requestId||""), transport,
+    caller: { key: caller?.keyId || "", user: caller?.user || "" },
+    sessionId: String(ctx.sessionId||"").slice(0,100), prompt: sanitizeAuditValue(String(ctx.prompt||"")),
+    tenant: String(body.tenant || tenant || ""), tool: String(name||""), dryRun: !!dryRun, args: sanitizeAuditValue(args||{}),
+    method: request.method || (body.url ? "GET" : ""), url: request.url || body.url || "",
+    status: result.status, ok: result.status<400, rows: auditRowCount(body), durationMs,
+    ...(body.error ? { error: String(body.error) } : {})
+  });
+}
+
+function auditFilter(q, caller){
+  const from = q.get("from") || "", to = q.get("to") || "";
+  const toEnd = /^\d{4}-\d{2}-\d{2}$/.test(to) ? `${to}￿` : to; // a plain date includes that whole day
+  const eq = { tenant:q.get("tenant"), tool:q.get("tool"), sessionId:q.get("sessionId"), requestId:q.get("requestId") };
+  const user = q.get("user"), status = q.get("status");
+  return (e)=> (!from || e.ts>=from) && (!toEnd || e.ts<=toEnd) && tenantInScope(caller, e.tenant) &&
+    Object.entries(eq).every(([k,v])=>!v || String(e[k])===v) && (!user || e.caller?.user===user) &&
+    (!status || (status==="ok" ? e.ok : status==="error" ? !e.ok : String(e.status)===status));
+}
+
+// Streams the files oldest first and hands every parsed line to fn(entry, raw)
+async function scanAudit(fn){
+  for(const f of await auditFiles()){
+    const rl = readline.createInterface({ input: createReadStream(f, "utf-8"), crlfDelay: Infinity });
+    for await (const line of rl){
+      if(!line) continue;
+      let e; try{ e = JSON.parse(line); }catch{ e = null; }
+      if(fn(e, line, f)===false){ rl.close(); return; }
+    }
+  }
+}
+
+// Newest matches first (limit) for JSON; csv / jsonl exports return all matches oldest first up to the cap
+async function queryAudit(q, caller){
+  await auditWrites;
+  const match = auditFilter(q, caller);
+  const limit = Math.min(Math.max(Number(q.get("limit")) || 200, 1), AUDIT_QUERY_MAX);
+  const format = q.get("format") || "json";
+  const out = [];
+  let truncated = false;
+  await scanAudit((e)=>{
+    if(!e || !match(e)) return;
+    out.push(e);
+    if(format==="json" && out.length>limit) out.shift();
+    if(format!=="json" && out.length>=AUDIT_QUERY_MAX){ truncated = true; return false; }
+  });
+  return { entries: format==="json" ? out.reverse() : out, truncated };
+}
+
+const AUDIT_CSV_COLUMNS = ["ts","requestId","transport","key","user","sessionId","prompt","tenant","tool","dryRun","method","url","status","rows","durationMs","error","args","hash"];
+
+function auditCsv(entries){
+  const rows = entries.map(e=>({ ...e, key:e.caller?.key, user:e.caller?.user }));
+  return [AUDIT_CSV_COLUMNS.join(","), ...rows.map(r=>AUDIT_CSV_COLUMNS.map(c=>csvCell(r[c])).join(","))].join("\r\n") + "\r\n";
+}
+
+// Recomputes the chain over all files; entries written while the chain was off are skipped, and a chainStart
+// entry may follow them (the chain was turned on again). The chain spans every tenant, so all entries are
+// checked, but counts and the location of a break only cover the caller's tenants.
+async function verifyAudit(caller){
+  await auditWrites;
+  let prev = null, afterUnchained = false, checked = 0, unchained = 0, broken = null;
+  const brokenAt = (e, file, reason)=>({ reason, ...(e && tenantInScope(caller, e.tenant) ? { file:path.basename(file), ts:e.ts } : { outsideScope:true }) });
+  await scanAudit((e, line, file)=>{
+    if(!e){ broken = brokenAt(null, file, "unparseable line"); return false; }
+    const mine = tenantInScope(caller, e.tenant);
+    if(!e.hash){ afterUnchained = true; if(mine) unchained++; return; }
+    const { hash, ...rest } = e;
+    const restart = e.chainStart===true && e.prevHash==="" && (prev===null || afterUnchained);
+    if(prev!==null && !restart && e.prevHash!==prev){ broken = brokenAt(e, file, "prevHash does not match the previous entry (entry removed or reordered)"); return false; }
+    if(crypto.createHash("sha256").update(e.prevHash + JSON.stringify(rest)).digest("hex")!==hash){ broken = brokenAt(e, file, "hash mismatch (entry modified)"); return false; }
+    prev = hash;
+    afterUnchained = false;
+    if(mine) checked++;
+  });
+  return { ok: !broken, chained: AUDIT_HASH_CHAIN, checked, unchained, ...(broken ? { broken } : {}) };
+}
+
+/* ---------------- Readiness ---------------- */
+// /readyz probes every tenant in settings.json (or the env default) with a one-row listing of /maximo/api/os and
+// answers 503 until all of them respond. Anonymous callers (probes, monitoring) see status and error codes; callers
+// with a service key also get the URL and what to fix for their tenants. Results are reused for READYZ_CACHE_SECONDS.
+const READY_TIMEOUT_MS = Math.max(Number(process.env.READYZ_TIMEOUT_MS) || 5000, 500);
+const READY_CACHE_MS = Math.max(Number(process.env.READYZ_CACHE_SECONDS ?? 10) || 0, 0) * 1000;
+const MAXIMO_FIXES = {
+  html:"The URL points at the Maximo UI or a login page instead of the API: use the base URL ending in /maximo (https://<host>/maximo). An expired API key can also redirect to the login page.",
+  auth:"Check the API key or the tenant's secret reference; the key may have expired or lack access to the object structures."
+};
+let readyLast = null; // { at, promise }
+
+async function probeTenant(settings, id){
+  const tenant = resolveTenant(settings, id);
+  const check = { name:`maximo:${tenant.id}`, kind:"maximo", tenant:tenant.id, ok:false, status:0, latencyMs:0, url:"" };
+  if(!tenant.apiBase) return { ...check, error:"missing_maximo_config", detail:"Set MAXIMO_URL (secret/env) or a Maximo base URL for this tenant in settings.json." };
+  tenant.creds = await tenantCredentials(tenant);
+  if(tenant.creds.error) return { ...check, error:"missing_maximo_credentials", detail:tenant.creds.error };
+  const url = `${tenant.apiBase}/os?oslc.pageSize=1`;
+  const started = Date.now();
+  let r = null, err = null;
+  try{ r = await maximoFetch(tenant, url,{ headers:{ accept:"application/json" }, signal:AbortSignal.timeout(READY_TIMEOUT_MS) }); }
+  catch(e){ err = e; }
+  const problem = probeProblem({ r, err, url }, MAXIMO_FIXES, READY_TIMEOUT_MS);
+  return { ...check, url, ok:!problem, status:r?.status||0, latencyMs:Date.now()-started, ...(problem||{}) };
+}
+
+// Concurrent callers share one run; refresh starts a new one
+async function readiness(refresh){
+  if(!refresh && readyLast && Date.now()-readyLast.at < READY_CACHE_MS) return await readyLast.promise;
+  const promise = (async ()=>{
+    const settings = await loadSettings();
+    const ids = (Array.isArray(settings.tenants) ? settings.tenants : []).map(t=>String(t.id||"")).filter(Boolean);
+    const checks = await Promise.all((ids.length ? ids : [""]).map(id=>probeTenant(settings, id)));
+    return { ready: checks.every(c=>c.ok), checkedAt:new Date().toISOString(), checks };
+  })();
+  readyLast = { at:Date.now(), promise };
+  return await promise;
+}
+
+function readinessReport(r, caller){
+  const brief = ({ name, kind, tenant, ok, status, latencyMs, error })=>({ name, kind, tenant, ok, status, latencyMs, ...(error ? { error } : {}) });
+  return { ...r, checks: r.checks.map(c=>caller && tenantInScope(caller, c.tenant) ? c : brief(c)) };
+}
+
+/* ---------------- Metrics ---------------- */
+// Prometheus text format (registry in shared/common.mjs): HTTP requests per route, tool calls, Maximo responses
+// and the read cache. /metrics skips service authentication; METRICS_TOKEN (optional) requires a bearer token.
+const METRICS_TOKEN = process.env.METRICS_TOKEN || "";
+const LATENCY_BUCKETS = [0.05,0.1,0.25,0.5,1,2.5,5,10,30,60];
+const MCP_ROUTES = new Set(["/healthz","/readyz","/metrics","/mcp","/mcp/tools","/mcp/call","/mcp/audit","/mcp/audit/verify","/mcp/cache","/mcp/cache/clear"]);
+const { incCounter, observeHistogram, render: renderMetricFamilies } = metricsRegistry(LATENCY_BUCKETS);
+
+// The registry plus the read cache, straight from its per-tenant stats
+function renderMetrics(){
+  return renderMetricFamilies(family=>{
+    const caches = [...readCaches];
+    family("mas_mcp_cache_events_total","counter","Read cache lookups and removals by tenant and event.",
+      caches.flatMap(([id,c])=>Object.entries(c.stats).map(([event,n])=>`mas_mcp_cache_events_total${metricLabelText({ tenant:id, event })} ${n}`)));
+    family("mas_mcp_cache_entries","gauge","Cached Maximo responses by tenant.", caches.map(([id,c])=>`mas_mcp_cache_entries${metricLabelText({ tenant:id })} ${c.entries.size}`));
+    family("mas_mcp_cache_bytes","gauge","Size of the cached responses by tenant.", caches.map(([id,c])=>`mas_mcp_cache_bytes${metricLabelText({ tenant:id })} ${c.bytes}`));
+  });
+}
 
-      return json(res,404,{ error:"unknown_tool", name });
+function observeRequest(req, res, started){
+  const p = new URL(req.url, "http://x").pathname;
+  const labels = { method:req.method, route: MCP_ROUTES.has(p) ? p : "unmatched" };
+  incCounter("mas_mcp_http_requests_total","HTTP requests by route and status.",{ ...labels, status:res.statusCode });
+  observeHistogram("mas_mcp_http_request_duration_seconds","HTTP request latency.",labels,(Date.now()-started)/1000);
+}
+
+// Tool names outside the catalogue are counted as "unknown" so callers cannot grow the label set
+function observeToolCall(name, tenant, result, durationMs){
+  const tool = MCP_NATIVE_TOOLS.some(t=>t.name===name) ? name : "unknown";
+  const outcome = result.status<400 ? "ok" : result.status===403 ? "denied" : result.status<500 ? "rejected" : "error";
+  incCounter("mas_mcp_tool_calls_total","Tool calls by tool, tenant and outcome (ok, denied, rejected = other 4xx, error).",{ tool, tenant:String(result.body?.tenant || tenant || ""), outcome });
+  observeHistogram("mas_mcp_tool_call_duration_seconds","Tool call latency, Maximo round trips included.",{ tool },durationMs/1000);
+}
+
+function observeMaximo(tenant, method, status, durationMs){
+  incCounter("mas_mcp_maximo_responses_total","Maximo responses by tenant, method and HTTP status (0 = no response).",{ tenant:tenant.id, method, status:String(status) });
+  observeHistogram("mas_mcp_maximo_request_duration_seconds","Maximo request latency.",{ tenant:tenant.id, method },durationMs/1000);
+}
+
+/* ---------------- MCP protocol (JSON-RPC 2.0) ---------------- */
+const MCP_PROTOCOL_VERSIONS = ["2025-06-18","2025-03-26","2024-11-05"];
+const SERVER_INFO = { name:"maximo-mcp-server", version:"1.0.0" };
+const MCP_SESSION_TTL_MS = 24*60*60*1000;
+const mcpSessions = new Map(); // Mcp-Session-Id -> { tenant, lastSeen }
+const MCP_ALLOWED_ORIGINS = String(process.env.MCP_ALLOWED_ORIGINS||"").split(",").map(x=>x.trim()).filter(Boolean);
+
+function rpcResult(id, result){ return { jsonrpc:"2.0", id, result }; }
+function rpcError(id, code, message, data){ return { jsonrpc:"2.0", id: id ?? null, error:{ code, message, ...(data!==undefined ? { data } : {}) } }; }
+
+// Tool results go back as JSON text plus structuredContent; the app-only trace is left out.
+function toolResultContent(r){
+  const { trace, ...body } = (r.body && typeof r.body==="object") ? r.body : { result:r.body };
+  return { content:[{ type:"text", text: JSON.stringify(body) }], structuredContent: body, isError: r.status>=400 };
+}
+
+async function tenantResources(caller){
+  const settings = await loadSettings();
+  const tenants = (Array.isArray(settings.tenants) ? settings.tenants : []).filter(t=>tenantInScope(caller, t.id));
+  return tenants.map(t=>({ id:String(t.id), label:String(t.label||""), site:String(t.site||""), org:String(t.org||""), maximoBaseUrl:String(t.maximoBaseUrl||"") }));
+}
+
+// Tools the caller may use for a tenant: none when the tenant is outside its scope
+async function toolsForTenant(caller, tenantId){
+  const tenant = resolveTenant(await loadSettings(), tenantId);
+  return { tenant: tenant.id, tools: tenantInScope(caller, tenant.id) ? MCP_NATIVE_TOOLS : [] };
+}
+
+// One JSON-RPC message -> response object, or null for notifications/responses.
+// ctx.tenant is the tenant the transport selected (session, header, MCP_TENANT); ctx.caller the
+// authenticated service key (none on stdio).
+async function handleRpc(msg, ctx){
+  if(!msg || typeof msg!=="object" || msg.jsonrpc!=="2.0") return rpcError(msg?.id, -32600, "Invalid Request");
+  const isRequest = typeof msg.method==="string" && msg.id!==undefined && msg.id!==null;
+  if(!isRequest) return null;
+  const { id, method } = msg;
+  const params = (msg.params && typeof msg.params==="object") ? msg.params : {};
+  const tenantId = params._meta?.tenant || ctx.tenant;
+
+  switch(method){
+    case "initialize": {
+      const asked = String(params.protocolVersion||"");
+      return rpcResult(id, {
+        protocolVersion: MCP_PROTOCOL_VERSIONS.includes(asked) ? asked : MCP_PROTOCOL_VERSIONS[0],
+        capabilities:{ tools:{ listChanged:false }, resources:{ subscribe:false, listChanged:false } },
+        serverInfo: SERVER_INFO,
+        instructions: "Maximo OSLC tools. Pick a tenant with params._meta.tenant, the x-maximo-tenant header or MCP_TENANT; write tools change Maximo data."
+      });
+    }
+    case "ping":
+      return rpcResult(id, {});
+    case "tools/list":
+      return rpcResult(id, { tools: (await toolsForTenant(ctx.caller, tenantId)).tools });
+    case "tools/call": {
+      const name = String(params.name||"");
+      if(!MCP_NATIVE_TOOLS.some(t=>t.name===name)) return rpcError(id, -32602, `Unknown tool: ${name}`);
+      const started = Date.now();
+      const r = await callTool({ name, args:params.arguments, tenantId, caller:ctx.caller });
+      observeToolCall(name, tenantId, r, Date.now()-started);
+      await auditToolCall({ requestId:ctx.requestId, caller:ctx.caller, name, args:params.arguments, tenant:tenantId, context:params._meta,
+        result:r, durationMs:Date.now()-started, transport:"mcp" });
+      return rpcResult(id, toolResultContent(r));
+    }
+    case "resources/list":
+      return rpcResult(id, { resources:[
+        { uri:"maximo://tenants", name:"tenants", title:"Maximo tenants", description:"Tenant registry (ids, sites, orgs, base URLs; no credentials).", mimeType:"application/json" }
+      ]});
+    case "resources/read": {
+      if(params.uri!=="maximo://tenants") return rpcError(id, -32002, "Resource not found", { uri:params.uri });
+      return rpcResult(id, { contents:[{ uri:"maximo://tenants", mimeType:"application/json", text: JSON.stringify(await tenantResources(ctx.caller)) }] });
+    }
+    default:
+      return rpcError(id, -32601, `Method not found: ${method}`);
+  }
+}
+
+// Single message or batch; returns the response (array for batches) or null when nothing to send back.
+async function handleRpcPayload(payload, ctx){
+  if(Array.isArray(payload)){
+    if(!payload.length) return rpcError(null, -32600, "Invalid Request");
+    const out = (await Promise.all(payload.map(m=>handleRpc(m, ctx).catch(e=>rpcError(m?.id, -32603, String(e?.message||e)))))).filter(Boolean);
+    return out.length ? out : null;
+  }
+  return await handleRpc(payload, ctx).catch(e=>rpcError(payload?.id, -32603, String(e?.message||e)));
+}
+
+// DNS rebinding guard: browsers send Origin; only localhost or MCP_ALLOWED_ORIGINS may call /mcp.
+function originAllowed(origin){
+  if(!origin) return true;
+  if(MCP_ALLOWED_ORIGINS.includes("*") || MCP_ALLOWED_ORIGINS.includes(origin)) return true;
+  try{ return ["localhost","127.0.0.1","[::1]"].includes(new URL(origin).hostname); }catch{ return false; }
+}
+
+function pruneMcpSessions(){
+  const now = Date.now();
+  for(const [sid,v] of mcpSessions) if(now - v.lastSeen > MCP_SESSION_TTL_MS) mcpSessions.delete(sid);
+}
+
+// Streamable HTTP transport: POST /mcp answers with application/json (no server-initiated SSE stream).
+async function handleMcpHttp(req, res, u, raw, caller){
+  if(!originAllowed(req.headers.origin)) return json(res,403,rpcError(null,-32000,"Origin not allowed"));
+  const pv = req.headers["mcp-protocol-version"];
+  if(pv && !MCP_PROTOCOL_VERSIONS.includes(String(pv))) return json(res,400,rpcError(null,-32000,`Unsupported MCP-Protocol-Version: ${pv}`));
+  const sid = req.headers["mcp-session-id"] ? String(req.headers["mcp-session-id"]) : "";
+
+  if(req.method==="GET"){
+    res.writeHead(405, { allow:"POST, DELETE" });
+    return res.end();
+  }
+  if(req.method==="DELETE"){
+    if(!sid || !mcpSessions.delete(sid)) return json(res,404,rpcError(null,-32001,"Session not found"));
+    res.writeHead(204); return res.end();
+  }
+  if(req.method!=="POST"){
+    res.writeHead(405, { allow:"POST, DELETE" });
+    return res.end();
+  }
+
+  let payload;
+  try{ payload = JSON.parse(raw); }catch{ return json(res,400,rpcError(null,-32700,"Parse error")); }
+
+  pruneMcpSessions();
+  const msgs = Array.isArray(payload) ? payload : [payload];
+  const initializing = msgs.some(m=>m?.method==="initialize");
+  const headerTenant = req.headers["x-maximo-tenant"] ? String(req.headers["x-maximo-tenant"]) : (u.searchParams.get("tenant") || "");
+  let session = null, newSid = "";
+  if(initializing){
+    newSid = crypto.randomUUID();
+    session = { tenant: headerTenant, lastSeen: Date.now() };
+    mcpSessions.set(newSid, session);
+  }else if(sid){
+    session = mcpSessions.get(sid);
+    if(!session) return json(res,404,rpcError(null,-32001,"Session not found"));
+    session.lastSeen = Date.now();
+  }
+
+  const out = await handleRpcPayload(payload, { tenant: headerTenant || session?.tenant || "", caller, requestId:req.headers["x-request-id"] });
+  const headers = newSid ? { "mcp-session-id": newSid } : {};
+  if(!out){
+    res.writeHead(202, headers); return res.end();
+  }
+  const body = JSON.stringify(out);
+  res.writeHead(200, { ...headers, "content-type":"application/json; charset=utf-8", "content-length": Buffer.byteLength(body) });
+  res.end(body);
+}
+
+// stdio transport: newline-delimited JSON-RPC on stdin/stdout, logs on stderr.
+function runStdio(){
+  const ctx = { tenant: process.env.MCP_TENANT || "" };
+  const rl = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+  const pending = new Set(); // requests still running when stdin closes are answered before exiting
+  rl.on("line", (line)=>{
+    if(!line.trim()) return;
+    let payload;
+    try{ payload = JSON.parse(line); }catch{ return process.stdout.write(JSON.stringify(rpcError(null,-32700,"Parse error"))+"\n"); }
+    const p = handleRpcPayload(payload, ctx)
+      .then(out=>{ if(out) process.stdout.write(JSON.stringify(out)+"\n"); })
+      .catch(e=>console.error("stdio request failed:", e?.message||e))
+      .finally(()=>pending.delete(p));
+    pending.add(p);
+  });
+  rl.on("close", async ()=>{
+    while(pending.size) await Promise.allSettled([...pending]);
+    process.stdout.write("", ()=>process.exit(0));
+  });
+  console.error("MCP server running on stdio");
+}
+
+// Optional TLS; with MCP_TLS_CLIENT_CA callers must present a certificate from that CA (mTLS)
+const TLS = process.env.MCP_TLS_CERT && process.env.MCP_TLS_KEY ? {
+  cert: readFileSync(process.env.MCP_TLS_CERT), key: readFileSync(process.env.MCP_TLS_KEY),
+  ...(process.env.MCP_TLS_CLIENT_CA ? { ca: readFileSync(process.env.MCP_TLS_CLIENT_CA), requestCert:true, rejectUnauthorized:true } : {})
+} : null;
+
+async function handleHttp(req,res){
+  const started = Date.now();
+  res.on("close", ()=>observeRequest(req, res, started));
+  try{
+    const u = new URL(req.url, `http://${req.headers.host}`);
+
+    if(req.method==="GET" && u.pathname==="/healthz") return text(res,200,"ok");
+    if(req.method==="GET" && u.pathname==="/readyz"){
+      const caller = authenticateService(req, u, "");
+      const r = await readiness(!caller.error && u.searchParams.get("refresh")==="1");
+      return json(res, r.ready ? 200 : 503, readinessReport(r, caller.error ? null : caller));
+    }
+    if(req.method==="GET" && u.pathname==="/metrics"){
+      if(METRICS_TOKEN && !safeEqual(String(req.headers.authorization||""), `Bearer ${METRICS_TOKEN}`)) return text(res,401,"Unauthorized");
+      res.writeHead(200,{ "content-type":"text/plain; version=0.0.4; charset=utf-8" });
+      return res.end(renderMetrics());
+    }
+
+    // Everything else needs a service key (signature or bearer), unless MCP_ALLOW_UNSIGNED=true
+    const body = req.method==="POST" ? await readBody(req) : "";
+    const caller = authenticateService(req, u, body);
+    if(caller.error){
+      const detail = caller.detail || `Service authentication failed: ${caller.error}`;
+      return json(res,401,u.pathname==="/mcp" ? rpcError(null,-32001,detail) : { error:"unauthorized", detail });
+    }
+
+    // MCP Streamable HTTP endpoint (JSON-RPC); /mcp/tools and /mcp/call stay for the app
+    if(u.pathname==="/mcp") return await handleMcpHttp(req, res, u, body, caller);
+
+    if(req.method==="GET" && u.pathname==="/mcp/tools"){
+      const t = await toolsForTenant(caller, u.searchParams.get("tenant"));
+      return json(res,200,{ tenant:t.tenant, tools: mcpToOpenAITools(t.tools), mutating: mutatingToolNames(t.tools) });
+    }
+
+    if(req.method==="POST" && u.pathname==="/mcp/call"){
+      const parsed = body ? JSON.parse(body) : {};
+      const started = Date.now();
+      const r = await callTool({ name:parsed.name, args:parsed.args, tenantId:parsed.tenant, dryRun:parsed.dryRun===true, caller });
+      observeToolCall(String(parsed.name||""), parsed.tenant, r, Date.now()-started);
+      await auditToolCall({ requestId:req.headers["x-request-id"], caller, name:parsed.name, args:parsed.args, tenant:parsed.tenant,
+        dryRun:parsed.dryRun===true, context:parsed.context, result:r, durationMs:Date.now()-started, transport:"rest" });
+      return json(res, r.status, r.body);
+    }
+
+    // Audit trail, limited to the caller's tenants; format=csv|jsonl exports every match
+    if(req.method==="GET" && u.pathname==="/mcp/audit"){
+      const format = u.searchParams.get("format") || "json";
+      const { entries, truncated } = await queryAudit(u.searchParams, caller);
+      if(format==="json") return json(res,200,{ entries, hashChain:AUDIT_HASH_CHAIN });
+      const name = `mcp-audit-${new Date().toISOString().slice(0,10)}.${format==="csv" ? "csv" : "jsonl"}`;
+      const out = format==="csv" ? auditCsv(entries) : entries.map(e=>JSON.stringify(e)).join("\n") + (entries.length ? "\n" : "");
+      res.writeHead(200,{ "content-type": format==="csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8",
+        "content-disposition":`attachment; filename="${name}"`, ...(truncated ? { "x-audit-truncated":"true" } : {}) });
+      return res.end(out);
+    }
+
+    if(req.method==="GET" && u.pathname==="/mcp/audit/verify") return json(res,200,await verifyAudit(caller));
+
+    // Read cache diagnostics (per tenant in the caller's scope) and a manual flush
+    if(req.method==="GET" && u.pathname==="/mcp/cache") return json(res,200,cacheStats(caller));
+    if(req.method==="POST" && u.pathname==="/mcp/cache/clear"){
+      const only = u.searchParams.get("tenant");
+      for(const [id, c] of readCaches) if((!only || id===only) && tenantInScope(caller, id)) for(const key of [...c.entries.keys()]) dropCacheEntry(c, key, "invalidated");
+      return json(res,200,cacheStats(caller));
     }
 
     return text(res,404,"Not Found");
   }catch(e){
     return json(res,500,{ error:"mcp_error", detail:String(e?.message||e) });
   }
-});
+}
 
-server.listen(PORT, ()=>console.log(`MCP server listening on ${PORT}`));
+const server = TLS ? https.createServer(TLS, handleHttp) : http.createServer(handleHttp);
+
+if(process.argv.includes("--stdio") || process.env.MCP_TRANSPORT==="stdio") runStdio();
+else server.listen(PORT, ()=>{
+  console.log(`MCP server listening on ${PORT}${TLS ? ` (TLS${TLS.requestCert ? ", client certificates required" : ""})` : ""}`);
+  if(!SERVICE_KEYS.length && ALLOW_UNSIGNED) console.warn("MCP_ALLOW_UNSIGNED=true and no MCP_SERVICE_KEYS: unsigned calls are accepted. Use this for local development only.");
+  else if(!SERVICE_KEYS.length) console.error("MCP_SERVICE_KEYS is not set (or still the placeholder): every /mcp call is refused until a key is configured.");
+});
@@ -0,0 +1,96 @@
+/**
+ * Helpers used by both app/server.mjs and mcp-server/server.mjs (Node built-ins only).
+ * Both images are built from the repository root and copy this directory next to the server's own,
+ * so the relative import works the same in the image and in a checkout.
+ */
+import crypto from "node:crypto";
+
+/* ---------------- CSV ---------------- */
+// One CSV field (RFC 4180: quoted when it holds quotes, commas or line breaks, quotes doubled). Objects are
+// written as JSON. Text starting with = + - @, a tab or CR gets a leading ' so a spreadsheet shows it instead
+// of running it as a formula (prompts, args and Maximo values are caller-controlled).
+export function csvCell(v) {
+  let t = v == null ? "" : typeof v === "object" ? JSON.stringify(v) : String(v);
+  if (typeof v === "string" && /^[=+\-@\t\r]/.test(t)) t = `'${t}`;
+  return /[",\r\n]/.test(t) ? `"${t.replace(/"/g, '""')}"` : t;
+}
+
+/* ---------------- Readiness ---------------- */
+// Fetch error or unusable response -> { error, detail } naming the likely fix; null when the response is usable
+// JSON. fixes: { html, auth } hints for the probed service; timeoutMs is the probe's timeout (for the message).
+export function probeProblem({ r, err, url }, fixes, timeoutMs) {
+  const host = (() => { try { return new URL(url).host; } catch { return url; } })();
+  if (err) {
+    const code = String(err.cause?.code || err.code || "");
+    if (err.name === "TimeoutError" || err.name === "AbortError") return { error:"timeout", detail:`No answer from ${host} within ${timeoutMs/1000}s. Check the URL and that the cluster can reach it (egress, proxy, firewall).` };
+    if (code === "ENOTFOUND" || code === "EAI_AGAIN") return { error:"dns", detail:`Host ${host} could not be resolved. Check the URL for typos.` };
+    if (code === "ECONNREFUSED") return { error:"connection_refused", detail:`${host} refused the connection. Check the port and that the service is running.` };
+    if (/CERT|SELF_SIGNED|UNABLE_TO_VERIFY/.test(code)) return { error:"tls", detail:`The TLS certificate of ${host} is not trusted (${code}). Add its CA with NODE_EXTRA_CA_CERTS.` };
+    return { error:"unreachable", detail:`${host}: ${err.cause?.message || err.message || err}` };
+  }
+  if (/^\s*</.test(r.text || "")) return { error:"html_instead_of_json", detail:`${host} answered with an HTML page instead of JSON (HTTP ${r.status}). ${fixes.html}` };
+  if (r.status === 401 || r.status === 403) return { error:"unauthorized", detail:`${host} rejected the credentials (HTTP ${r.status}). ${fixes.auth}` };
+  if (r.status === 404) return { error:"not_found", detail:`${url} returned 404. Check the path of the base URL.` };
+  if (!r.ok) return { error:`http_${r.status}`, detail:`HTTP ${r.status} from ${host}: ${String(r.text||"").slice(0, 200)}` };
+  if (!r.json) return { error:"not_json", detail:`${host} did not answer with JSON. ${fixes.html}` };
+  return null;
+}
+
+/* ---------------- Service keys and tokens ---------------- */
+// Constant-time string comparison (different lengths compare unequal without a timing difference in content)
+export function safeEqual(a, b) {
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+/* ---------------- Metrics ---------------- */
+// Prometheus text format without a client library. Each server keeps one registry of counters and latency
+// histograms; render(extra) adds the server's own gauges through family(name, type, help, lines) and ends with
+// the process metrics.
+export function metricLabelText(labels) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${String(v ?? "").replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"')}"`);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+export function metricsRegistry(buckets) {
+  const families = new Map(); // name -> { type, help, series: Map(labelKey -> { labels, value } | { labels, counts, sum, count }) }
+  const family = (name, type, help) => families.get(name) || families.set(name, { type, help, series: new Map() }).get(name);
+
+  function incCounter(name, help, labels, by=1) {
+    const f = family(name, "counter", help), key = metricLabelText(labels);
+    const s = f.series.get(key) || f.series.set(key, { labels, value: 0 }).get(key);
+    s.value += by;
+  }
+
+  function observeHistogram(name, help, labels, seconds) {
+    const f = family(name, "histogram", help), key = metricLabelText(labels);
+    const s = f.series.get(key) || f.series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }).get(key);
+    buckets.forEach((b, i) => { if (seconds <= b) s.counts[i]++; });
+    s.sum += seconds;
+    s.count++;
+  }
+
+  function render(extra=() => {}) {
+    const out = [];
+    const add = (name, type, help, lines) => out.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines);
+    for (const [name, f] of families) {
+      const lines = [];
+      for (const s of f.series.values()) {
+        if (f.type !== "histogram") { lines.push(`${name}${metricLabelText(s.labels)} ${s.value}`); continue; }
+        buckets.forEach((b, i) => lines.push(`${name}_bucket${metricLabelText({ ...s.labels, le: b })} ${s.counts[i]}`));
+        lines.push(`${name}_bucket${metricLabelText({ ...s.labels, le: "+Inf" })} ${s.count}`);
+        lines.push(`${name}_sum${metricLabelText(s.labels)} ${s.sum}`, `${name}_count${metricLabelText(s.labels)} ${s.count}`);
+      }
+      add(name, f.type, f.help, lines);
+    }
+    extra(add);
+    const mem = process.memoryUsage(), cpu = process.cpuUsage();
+    add("process_cpu_seconds_total", "counter", "User and system CPU time.", [`process_cpu_seconds_total ${(cpu.user + cpu.system) / 1e6}`]);
+    add("process_resident_memory_bytes", "gauge", "Resident memory size.", [`process_resident_memory_bytes ${mem.rss}`]);
+    add("nodejs_heap_used_bytes", "gauge", "V8 heap in use.", [`nodejs_heap_used_bytes ${mem.heapUsed}`]);
+    add("process_start_time_seconds", "gauge", "Start time since the epoch.", [`process_start_time_seconds ${Math.round(Date.now()/1000 - process.uptime())}`]);
+    return out.join("\n") + "\n";
+  }
+
+  return { incCounter, observeHistogram, render };
+}